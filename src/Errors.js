@@ -11,4 +11,37 @@ class WorkflowError extends Error {
     this.name = 'WorkflowError';
   }
 }
-module.exports = { WorkflowError };
+
+class CidMismatchError extends WorkflowError {
+  constructor(sourcePath, expectedCid, cid) {
+    super(
+      `the cid:${cid} returned by the storage provider for ${sourcePath} does not match the locally computed cid:${expectedCid}`
+    );
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, CidMismatchError);
+    }
+
+    this.name = 'CidMismatchError';
+    this.sourcePath = sourcePath;
+    this.expectedCid = expectedCid;
+    this.cid = cid;
+  }
+}
+
+// inFlight is the block number that a tx was sent at, if it may still be included in a block after it has failed
+class TxError extends WorkflowError {
+  constructor(message, retryable = false, inFlight) {
+    super(message);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, TxError);
+    }
+
+    this.name = 'TxError';
+    this.retryable = retryable;
+    this.inFlight = inFlight;
+  }
+}
+
+module.exports = { WorkflowError, CidMismatchError, TxError };
@@ -0,0 +1,192 @@
+const { bnToBn } = require('@polkadot/util');
+const { signAndSendTx, decodeDispatchError } = require('./txHandler');
+const { sendMultisigCall } = require('./multisig');
+const { WorkflowError } = require('../Errors');
+
+// atomic: the batch is reverted if any of its calls fails (utility.batchAll).
+// force: the failed calls are reported and the other calls are applied (utility.forceBatch).
+const batchModes = ['atomic', 'force'];
+
+const createBatch = (api, txs, batchMode) => {
+  if (batchMode !== 'force') return api.tx.utility.batchAll(txs);
+  // utility.batch stops at the first failed call on the chains that have no forceBatch
+  return api.tx.utility.forceBatch
+    ? api.tx.utility.forceBatch(txs)
+    : api.tx.utility.batch(txs);
+};
+
+// the share of the block limits that an auto sized batch may use, since the rows of a batch are not all the same size
+const autoBatchLimitShare = 0.75;
+
+// the parts of a weight: [refTime, proofSize] for the v2 weights, [weight] for the v1 weights
+const getWeightParts = (weight) => {
+  const { refTime, proofSize } = weight?.refTime ? weight : { refTime: weight };
+  return [refTime, proofSize]
+    .filter((part) => part != null)
+    .map((part) => Number(bnToBn(part).toString()));
+};
+
+// the max weight and length of a normal extrinsic
+const getExtrinsicLimits = (api) => {
+  const { maxBlock, perClass } = api.consts.system.blockWeights;
+  const { maxExtrinsic } = perClass.normal;
+  return {
+    weight: getWeightParts(
+      maxExtrinsic?.isSome ? maxExtrinsic.unwrap() : maxBlock
+    ),
+    length: Number(api.consts.system.blockLength.max.normal.toString()),
+  };
+};
+
+// estimates the largest number of rows that fit in a batch from the weight and the length of a sample batch,
+// txs are the calls of the first sampleRows rows.
+const estimateBatchSize = async (network, txs, sampleRows, batchMode) => {
+  const { api, signingPair } = network;
+  const call = createBatchCall(network, txs, batchMode);
+  const { weight } = await call.paymentInfo(signingPair);
+  const limits = getExtrinsicLimits(api);
+
+  const weightParts = getWeightParts(weight);
+  let sizes = weightParts.map((part, i) =>
+    part && limits.weight[i] ? (limits.weight[i] * sampleRows) / part : Infinity
+  );
+  sizes.push((limits.length * sampleRows) / call.encodedLength);
+  return Math.max(1, Math.floor(Math.min(...sizes) * autoBatchLimitShare));
+};
+
+// a proxy call succeeds even if the call that it executes fails, the result of the call is in the ProxyExecuted event
+const getProxyError = (api, events) => {
+  const executed = events.find(({ event }) =>
+    api.events.proxy?.ProxyExecuted.is(event)
+  );
+  const result = executed?.event.data[0];
+  return result?.isErr ? decodeDispatchError(api, result.asErr) : undefined;
+};
+
+// maps the utility events of a batch to the results of its calls: [{ success, error }]
+const decodeBatchResults = (api, events, count) => {
+  // all the calls are reverted if the proxied batch fails, e.g. it is rejected by the proxy filter
+  const proxyError = getProxyError(api, events);
+  if (proxyError) {
+    return Array.from({ length: count }, () => ({
+      success: false,
+      error: proxyError,
+    }));
+  }
+  const { ItemCompleted, ItemFailed, BatchInterrupted } = api.events.utility;
+  let results = [];
+  let hasItemEvents = false;
+  for (let { event } of events) {
+    if (ItemCompleted?.is(event)) {
+      hasItemEvents = true;
+      results.push({ success: true });
+    } else if (ItemFailed?.is(event)) {
+      hasItemEvents = true;
+      results.push({
+        success: false,
+        error: decodeDispatchError(api, event.data[0]),
+      });
+    } else if (BatchInterrupted?.is(event)) {
+      const [index, dispatchError] = event.data;
+      const interruptedAt = Number(index.toString());
+      results = results.slice(0, interruptedAt);
+      // the calls before the interrupted call are completed, the older runtimes report no ItemCompleted events
+      while (results.length < interruptedAt) {
+        results.push({ success: true });
+      }
+      results.push({
+        success: false,
+        error: decodeDispatchError(api, dispatchError),
+      });
+      while (results.length < count) {
+        results.push({
+          success: false,
+          error: `the batch was interrupted at the call #${interruptedAt}`,
+        });
+      }
+      return results;
+    }
+  }
+  // a dry run, or a batch that was already applied before a retry, reports no item events
+  if (!hasItemEvents) {
+    return Array.from({ length: count }, () => ({ success: true }));
+  }
+  return results;
+};
+
+// the call is sent through the proxied account if it is configured
+const createProxyCall = (network, tx) => {
+  const { api, proxiedAddress, proxyType } = network;
+  return proxiedAddress
+    ? api.tx.proxy.proxy(proxiedAddress, proxyType, tx)
+    : tx;
+};
+
+// the account that the calls are dispatched from: the proxied account, the multisig account or the signer
+const getOrigin = ({ proxiedAddress, multisig, signingPair }) =>
+  proxiedAddress || multisig?.address || signingPair.address;
+
+const createBatchCall = (network, txs, batchMode) =>
+  createProxyCall(network, createBatch(network.api, txs, batchMode));
+
+// the fee of a call that is paid by the signer, the call is not signed
+const estimateFee = async (network, call) => {
+  const { partialFee } = await call.paymentInfo(network.signingPair.address);
+  return bnToBn(partialFee);
+};
+
+// sends a call that is signed by the signer, or approved by the signatories if a multisig is configured.
+// in the unsigned mode the call is written to the plan instead, and no events are returned.
+const sendSignedCall = async (network, call, dryRun, isApplied) => {
+  const { api, signingPair, multisig, plan } = network;
+  if (plan) return plan.add(call);
+  if (signingPair.isLocked) {
+    throw new WorkflowError(
+      'No signing key is configured to sign the calls. Please configure network.accountSeed, network.accountSeedEnv or network.keystoreFile, or run the workflow with --unsigned to sign the calls externally.'
+    );
+  }
+  return multisig && !dryRun
+    ? sendMultisigCall(network, call, isApplied)
+    : signAndSendTx(api, call, signingPair, true, dryRun, isApplied);
+};
+
+// sends a call, and throws if the call that is executed by a proxy call fails.
+const sendCall = async (network, call, dryRun, isApplied) => {
+  const events = await sendSignedCall(network, call, dryRun, isApplied);
+  const proxyError = getProxyError(network.api, events || []);
+  if (proxyError) {
+    throw new WorkflowError(`The proxied call has failed: ${proxyError}`);
+  }
+  return events;
+};
+
+// sends the txs in a batch, returns the result of each tx.
+// the results of an atomic batch are all successful, since it throws on any failure.
+const sendBatch = async (network, txs, dryRun, isApplied, batchMode) => {
+  const call = createBatchCall(network, txs, batchMode);
+  // isApplied checks the state of a row of the batch, which tells if an atomic batch is applied, but not a force batch
+  const events = await sendSignedCall(
+    network,
+    call,
+    dryRun,
+    batchMode === 'force' ? undefined : isApplied
+  );
+  const results = decodeBatchResults(network.api, events || [], txs.length);
+  const failed = results.find(({ success }) => !success);
+  if (failed && batchMode !== 'force') {
+    throw new WorkflowError(`The batch has failed: ${failed.error}`);
+  }
+  return results;
+};
+
+module.exports = {
+  batchModes,
+  createProxyCall,
+  createBatchCall,
+  getOrigin,
+  sendCall,
+  sendBatch,
+  estimateFee,
+  estimateBatchSize,
+  decodeBatchResults,
+};
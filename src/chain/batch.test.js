@@ -0,0 +1,132 @@
+const { BN } = require('@polkadot/util');
+const { decodeBatchResults, estimateBatchSize } = require('./batch');
+
+describe('batch tests', () => {
+  const eventType = (method) => ({
+    is: (event) => event.method === method,
+  });
+  const api = {
+    events: {
+      utility: {
+        ItemCompleted: eventType('ItemCompleted'),
+        ItemFailed: eventType('ItemFailed'),
+        BatchInterrupted: eventType('BatchInterrupted'),
+      },
+      proxy: { ProxyExecuted: eventType('ProxyExecuted') },
+    },
+  };
+  const dispatchError = (error) => ({
+    isModule: false,
+    toString: () => error,
+  });
+  const record = (method, data = []) => ({ event: { method, data } });
+
+  it('test the results of a force batch', () => {
+    const events = [
+      record('Issued'),
+      record('ItemCompleted'),
+      record('ItemFailed', [dispatchError('AlreadyExists')]),
+      record('Issued'),
+      record('ItemCompleted'),
+      record('BatchCompletedWithErrors'),
+    ];
+    expect(decodeBatchResults(api, events, 3)).toEqual([
+      { success: true },
+      { success: false, error: 'AlreadyExists' },
+      { success: true },
+    ]);
+  });
+
+  it('test the results of an interrupted batch', () => {
+    const events = [
+      record('ItemCompleted'),
+      record('BatchInterrupted', [
+        { toString: () => '1' },
+        dispatchError('BadOrigin'),
+      ]),
+    ];
+    expect(decodeBatchResults(api, events, 3)).toEqual([
+      { success: true },
+      { success: false, error: 'BadOrigin' },
+      {
+        success: false,
+        error: 'the batch was interrupted at the call #1',
+      },
+    ]);
+  });
+
+  it('test the estimated batch size', async () => {
+    // each call weighs 1e9 and takes 100 bytes
+    const batchAll = (txs) => ({
+      encodedLength: 100 * txs.length,
+      paymentInfo: async () => ({
+        weight: { refTime: new BN(1e9 * txs.length), proofSize: new BN(0) },
+      }),
+    });
+    const network = {
+      api: {
+        tx: { utility: { batchAll } },
+        consts: {
+          system: {
+            blockWeights: {
+              maxBlock: { refTime: new BN(5e10) },
+              perClass: {
+                normal: {
+                  maxExtrinsic: {
+                    isSome: true,
+                    unwrap: () => ({ refTime: new BN(2e10) }),
+                  },
+                },
+              },
+            },
+            blockLength: { max: { normal: new BN(5000) } },
+          },
+        },
+      },
+    };
+    // 4 calls of 2 rows: the weight fits 10 rows, the length fits 25 rows, 3/4 of the limit is used
+    expect(await estimateBatchSize(network, [{}, {}, {}, {}], 2)).toEqual(7);
+
+    network.api.consts.system.blockLength.max.normal = new BN(1000);
+    expect(await estimateBatchSize(network, [{}, {}, {}, {}], 2)).toEqual(3);
+  });
+
+  it('test a batch with no item events', () => {
+    expect(decodeBatchResults(api, [], 2)).toEqual([
+      { success: true },
+      { success: true },
+    ]);
+  });
+
+  it('test a proxied batch that has failed', () => {
+    const events = [
+      record('ProxyExecuted', [
+        { isErr: true, asErr: dispatchError('CallFiltered') },
+      ]),
+    ];
+    expect(decodeBatchResults(api, events, 2)).toEqual([
+      { success: false, error: 'CallFiltered' },
+      { success: false, error: 'CallFiltered' },
+    ]);
+    const ok = [record('ItemCompleted'), record('ProxyExecuted', [{}])];
+    expect(decodeBatchResults(api, ok, 1)).toEqual([{ success: true }]);
+  });
+
+  it('test an interrupted batch with no completed item events', () => {
+    const events = [
+      record('BatchInterrupted', [
+        { toString: () => '2' },
+        dispatchError('NoPermission'),
+      ]),
+    ];
+    expect(decodeBatchResults(api, events, 4)).toEqual([
+      { success: true },
+      { success: true },
+      { success: false, error: 'NoPermission' },
+      {
+        success: false,
+        error: 'the batch was interrupted at the call #2',
+      },
+    ]);
+  });
+});
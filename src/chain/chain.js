@@ -1,38 +1,121 @@
 const { Keyring } = require('@polkadot/keyring');
 const { ApiPromise, WsProvider } = require('@polkadot/api');
+const { cryptoWaitReady } = require('@polkadot/util-crypto');
 const { WorkflowError } = require('../Errors');
+const { importantMessage, notificationMessage } = require('../utils/styles');
+const { createPalletAdapter } = require('./pallet');
+const { configureTx } = require('./txHandler');
+const { createMultisig } = require('./multisig');
+const { loadSigningPair, loadAddressPair } = require('./signer');
+
+// the proxy type of the proxy calls if network.proxyType is not configured
+const defaultProxyType = 'Assets';
+
+// the delay (ms) before reconnecting to the next endpoint when the connection is lost
+const reconnectDelay = 2500;
+
+// network.provider is either an endpoint or a list of endpoints to fail over to
+const getEndpoints = (provider) =>
+  (Array.isArray(provider) ? provider : [provider]).filter(Boolean);
+
+// a ws provider that records the endpoint it connects to. the ws provider moves to the next endpoint on each
+// connection attempt, so the endpoint is tracked the same way.
+const createProvider = (endpoints) => {
+  let endpointIndex = -1;
+  class FailoverProvider extends WsProvider {
+    async connect() {
+      endpointIndex = (endpointIndex + 1) % endpoints.length;
+      return super.connect();
+    }
+
+    get endpoint() {
+      return endpoints[endpointIndex];
+    }
+  }
+  return new FailoverProvider(endpoints, reconnectDelay);
+};
+
+const logFailovers = (api, provider, endpoints) => {
+  let lostEndpoint;
+  api.on('disconnected', () => {
+    lostEndpoint = provider.endpoint;
+    console.log(
+      importantMessage(
+        endpoints.length > 1
+          ? `The connection to ${lostEndpoint} is lost, failing over to the next endpoint of network.provider ...`
+          : `The connection to ${lostEndpoint} is lost, reconnecting ...`
+      )
+    );
+  });
+  api.on('connected', () => {
+    console.log(
+      notificationMessage(
+        provider.endpoint === lostEndpoint
+          ? `Reconnected to ${provider.endpoint}`
+          : `Failed over from ${lostEndpoint} to ${provider.endpoint}`
+      )
+    );
+  });
+};
 
-// TODO: verify seed is a valid mnemonic
 let signingPair;
 let api;
 let keyring;
+let pallet;
 
-const connect = async function (network) {
-  const wsURI = network?.provider;
-  const seed = network?.accountSeed;
+// readOnly connects for the commands that send no transactions, e.g. estimate and status. their signing pair is only
+// used for its address, and it may be undefined if no account is configured.
+const connect = async function (network, { readOnly = false } = {}) {
   const proxiedAddress = network?.proxiedAddress;
+  const proxyType = network?.proxyType || defaultProxyType;
+  configureTx(network?.tx);
+  if (!keyring) {
+    await cryptoWaitReady();
+    keyring = new Keyring({ type: 'sr25519' });
+  }
+
+  // the signing key is loaded and validated before connecting, so a bad seed or password fails fast
+  let pair;
+  if (readOnly) {
+    pair = loadAddressPair(keyring, network);
+  } else {
+    if (!signingPair) {
+      signingPair = await loadSigningPair(keyring, network);
+    }
+    pair = signingPair;
+  }
+
   if (!api) {
-    if (!wsURI) {
+    const endpoints = getEndpoints(network?.provider);
+    if (!endpoints.length) {
       throw new WorkflowError('No RPC endpoint is configured for the network');
     }
-    const wsProvider = new WsProvider(wsURI);
+    // the provider rotates to the next endpoint each time the connection is lost
+    const wsProvider = createProvider(endpoints);
     api = await ApiPromise.create({ provider: wsProvider });
     await api.isReady;
+    console.log(`Connected to ${wsProvider.endpoint}`);
+    logFailovers(api, wsProvider, endpoints);
   }
 
-  if (!keyring) {
-    keyring = new Keyring({ type: 'sr25519' });
+  if (!pallet) {
+    pallet = createPalletAdapter(api, network?.pallet);
+    console.log(`Using the ${pallet.name} pallet`);
   }
 
-  if (!signingPair) {
-    if (!seed) {
-      throw new WorkflowError(
-        'No account seed phrase is configured to be used with the network'
-      );
-    }
-    signingPair = keyring.createFromUri(seed);
-  }
-  return { api, keyring, signingPair, proxiedAddress };
+  const multisig =
+    network?.multisig && pair
+      ? createMultisig(network.multisig, pair.address, api.registry.chainSS58)
+      : undefined;
+  return {
+    api,
+    keyring,
+    signingPair: pair,
+    proxiedAddress,
+    proxyType,
+    multisig,
+    pallet,
+  };
 };
 
 module.exports = { connect };
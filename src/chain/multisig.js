@@ -0,0 +1,211 @@
+const { setTimeout: sleep } = require('timers/promises');
+const { encodeMultiAddress, sortAddresses } = require('@polkadot/util-crypto');
+const { signAndSendTx, decodeDispatchError } = require('./txHandler');
+const { importantMessage, notificationMessage } = require('../utils/styles');
+const { isSameAccount } = require('../utils');
+const { WorkflowError } = require('../Errors');
+
+// the interval (ms) between the checks of the approvals of a pending call
+const approvalCheckInterval = 30000;
+
+// the multisig account of the signatories, the calls are approved by the signer on behalf of it.
+// if waitForApprovals is false, the workflow stops at a call that is not approved yet, and resumes from it on the next run.
+const createMultisig = (
+  { signatories, threshold, waitForApprovals = true },
+  signer,
+  ss58Format
+) => {
+  if (!signatories.some((address) => isSameAccount(address, signer))) {
+    throw new WorkflowError(
+      `The signer ${signer} is not one of the network.multisig.signatories`
+    );
+  }
+  return {
+    address: encodeMultiAddress(signatories, threshold, ss58Format),
+    threshold,
+    otherSignatories: sortAddresses(
+      signatories.filter((address) => !isSameAccount(address, signer)),
+      ss58Format
+    ),
+    waitForApprovals,
+    // the store of the pending calls, { get, set, delete } by the call hash, it is set by the workflow to checkpoint the calls
+    pendingCalls: undefined,
+  };
+};
+
+// the timepoint and the approvals of a call that is not executed yet
+const queryPendingCall = async (api, address, callHash) => {
+  const pending = (
+    await api.query.multisig.multisigs(address, callHash)
+  )?.unwrapOr(undefined);
+  if (!pending) return undefined;
+  return {
+    timepoint: {
+      height: Number(pending.when.height.toString()),
+      index: Number(pending.when.index.toString()),
+    },
+    approvals: pending.approvals.map((approval) => approval.toString()),
+  };
+};
+
+// older versions of the multisig pallet also take a store_call argument
+const createAsMulti = (
+  api,
+  threshold,
+  otherSignatories,
+  timepoint,
+  call,
+  weight
+) =>
+  api.tx.multisig.asMulti.meta.args.length > 5
+    ? api.tx.multisig.asMulti(
+        threshold,
+        otherSignatories,
+        timepoint,
+        call,
+        false,
+        weight
+      )
+    : api.tx.multisig.asMulti(
+        threshold,
+        otherSignatories,
+        timepoint,
+        call,
+        weight
+      );
+
+// the call has left the pending calls without this signer executing it, it is executed or cancelled by another signatory
+const handleLeftCall = async (pendingCalls, callHash, isApplied) => {
+  pendingCalls?.delete(callHash);
+  if (isApplied && (await isApplied())) {
+    console.log(
+      notificationMessage(
+        `The multisig call ${callHash} is executed by another signatory`
+      )
+    );
+    return [];
+  }
+  throw new WorkflowError(
+    `The multisig call ${callHash} is no longer pending, it is executed or cancelled by another signatory. Please check the call on chain before running the workflow again.`
+  );
+};
+
+// sends a call on behalf of the multisig account. the signer approves the call, and waits for the approvals of the
+// other signatories, then executes the call. a call that is pending from a previous run is resumed by its call hash.
+const sendMultisigCall = async (network, call, isApplied) => {
+  const { api, signingPair, multisig } = network;
+  const {
+    address,
+    threshold,
+    otherSignatories,
+    waitForApprovals,
+    pendingCalls,
+  } = multisig;
+  const signer = signingPair.address;
+
+  if (threshold === 1) {
+    return signAndSendTx(
+      api,
+      api.tx.multisig.asMultiThreshold1(otherSignatories, call),
+      signingPair,
+      true,
+      false,
+      isApplied
+    );
+  }
+
+  const callHash = call.method.hash.toHex();
+  const { weight } = await call.paymentInfo(signer);
+  let pending = await queryPendingCall(api, address, callHash);
+
+  if (!pending) {
+    if (pendingCalls?.get(callHash)) {
+      return handleLeftCall(pendingCalls, callHash, isApplied);
+    }
+    // the first approval records the call on chain, the other signatories approve it by its call hash
+    await signAndSendTx(
+      api,
+      api.tx.multisig.approveAsMulti(
+        threshold,
+        otherSignatories,
+        null,
+        callHash,
+        weight
+      ),
+      signingPair,
+      true,
+      false,
+      async () => !!(await queryPendingCall(api, address, callHash))
+    );
+    pending = await queryPendingCall(api, address, callHash);
+    if (!pending) {
+      throw new WorkflowError(
+        `The multisig call ${callHash} is not found on chain after it is approved`
+      );
+    }
+    console.log(
+      importantMessage(
+        `The multisig call ${callHash} is approved at the timepoint ${
+          pending.timepoint.height
+        }-${
+          pending.timepoint.index
+        }. The call data to approve it is: ${call.method.toHex()}`
+      )
+    );
+  }
+  pendingCalls?.set(callHash, pending.timepoint);
+
+  // the call is executed by the approval of the signer, once the other signatories have approved it
+  const missingApprovals = ({ approvals }) =>
+    threshold -
+    approvals.filter((approval) => !isSameAccount(approval, signer)).length -
+    1;
+  while (missingApprovals(pending) > 0) {
+    const message = `The multisig call ${callHash} is waiting for ${missingApprovals(
+      pending
+    )} more approvals of the signatories`;
+    if (!waitForApprovals) {
+      throw new WorkflowError(
+        `${message}. Please run the workflow again once the call is approved.`
+      );
+    }
+    console.log(notificationMessage(message));
+    await sleep(approvalCheckInterval);
+    pending = await queryPendingCall(api, address, callHash);
+    if (!pending) return handleLeftCall(pendingCalls, callHash, isApplied);
+  }
+
+  const events = await signAndSendTx(
+    api,
+    createAsMulti(
+      api,
+      threshold,
+      otherSignatories,
+      pending.timepoint,
+      call,
+      weight
+    ),
+    signingPair,
+    true,
+    false,
+    async () => !(await queryPendingCall(api, address, callHash))
+  );
+  pendingCalls?.delete(callHash);
+
+  // the multisig call succeeds even if the call that it executes fails, the result of the call is in the event
+  const executed = events.find(({ event }) =>
+    api.events.multisig.MultisigExecuted.is(event)
+  );
+  const result = executed?.event.data[4];
+  if (result?.isErr) {
+    throw new WorkflowError(
+      `The multisig call ${callHash} failed: ${decodeDispatchError(
+        api,
+        result.asErr
+      )}`
+    );
+  }
+  return events;
+};
+
+module.exports = { createMultisig, sendMultisigCall };
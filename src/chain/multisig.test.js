@@ -0,0 +1,134 @@
+jest.mock('./txHandler');
+const { encodeMultiAddress } = require('@polkadot/util-crypto');
+const { signAndSendTx } = require('./txHandler');
+const { createMultisig, sendMultisigCall } = require('./multisig');
+
+describe('multisig tests', () => {
+  const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+  const bob = '5FHneW46xGXgs5mUiveU4sbTyGBzmstUspZC92UhjJM694ty';
+  const charlie = '5FLSigC9HGRKVhB9FiEo4Y3koPsNmBmLJbpXg2mp1hXcS59Y';
+  const callHash = '0x1234';
+
+  // a fake chain that keeps the approvals of the pending calls
+  const createNetwork = (multisigConfig) => {
+    let pending;
+    const api = {
+      tx: {
+        multisig: {
+          approveAsMulti: (...args) => ({ method: 'approveAsMulti', args }),
+          asMulti: Object.assign((...args) => ({ method: 'asMulti', args }), {
+            meta: { args: { length: 5 } },
+          }),
+        },
+      },
+      query: {
+        multisig: {
+          multisigs: async () => ({
+            unwrapOr: () => pending,
+          }),
+        },
+      },
+      events: { multisig: { MultisigExecuted: { is: () => false } } },
+    };
+    const setPending = (height, index, approvals) => {
+      pending = { when: { height, index }, approvals };
+    };
+    const multisig = createMultisig(multisigConfig, alice, 42);
+    let calls = {};
+    multisig.pendingCalls = {
+      get: (hash) => calls[hash],
+      set: (hash, timepoint) => (calls[hash] = timepoint),
+      delete: (hash) => delete calls[hash],
+    };
+    const network = { api, signingPair: { address: alice }, multisig };
+    return { network, calls, setPending };
+  };
+  const call = {
+    method: { hash: { toHex: () => callHash }, toHex: () => '0x00' },
+    paymentInfo: async () => ({ weight: 1000 }),
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    signAndSendTx.mockReset();
+  });
+
+  it('test the multisig account', () => {
+    const multisig = createMultisig(
+      { signatories: [charlie, alice, bob], threshold: 2 },
+      alice,
+      42
+    );
+    expect(multisig.address).toEqual(
+      encodeMultiAddress([alice, bob, charlie], 2, 42)
+    );
+    expect([...multisig.otherSignatories].sort()).toEqual(
+      [bob, charlie].sort()
+    );
+    expect(() =>
+      createMultisig({ signatories: [bob, charlie], threshold: 2 }, alice, 42)
+    ).toThrow('is not one of the network.multisig.signatories');
+  });
+
+  it('test a call that is waiting for approvals', async () => {
+    const { network, calls, setPending } = createNetwork({
+      signatories: [alice, bob, charlie],
+      threshold: 2,
+      waitForApprovals: false,
+    });
+    signAndSendTx.mockImplementation(async () => {
+      setPending(10, 1, [alice]);
+      return [];
+    });
+    await expect(sendMultisigCall(network, call)).rejects.toThrow(
+      'is waiting for 1 more approvals'
+    );
+    expect(signAndSendTx).toHaveBeenCalledTimes(1);
+    expect(signAndSendTx.mock.calls[0][1].method).toEqual('approveAsMulti');
+    expect(calls[callHash]).toEqual({ height: 10, index: 1 });
+  });
+
+  it('test a call that is resumed once it is approved', async () => {
+    const { network, calls, setPending } = createNetwork({
+      signatories: [alice, bob, charlie],
+      threshold: 2,
+      waitForApprovals: false,
+    });
+    setPending(10, 1, [alice, bob]);
+    calls[callHash] = { height: 10, index: 1 };
+    signAndSendTx.mockResolvedValue([]);
+
+    await expect(sendMultisigCall(network, call)).resolves.toEqual([]);
+    expect(signAndSendTx).toHaveBeenCalledTimes(1);
+    const [, asMulti] = signAndSendTx.mock.calls[0];
+    expect(asMulti.method).toEqual('asMulti');
+    expect(asMulti.args[2]).toEqual({ height: 10, index: 1 });
+    expect(asMulti.args[3]).toBe(call);
+    expect(calls[callHash]).toBeUndefined();
+  });
+
+  it('test a call that is executed by another signatory', async () => {
+    const { network, calls } = createNetwork({
+      signatories: [alice, bob, charlie],
+      threshold: 2,
+    });
+    calls[callHash] = { height: 10, index: 1 };
+
+    await expect(sendMultisigCall(network, call)).rejects.toThrow(
+      'is no longer pending'
+    );
+    calls[callHash] = { height: 10, index: 1 };
+    await expect(
+      sendMultisigCall(network, call, async () => true)
+    ).resolves.toEqual([]);
+    expect(signAndSendTx).not.toHaveBeenCalled();
+    expect(calls[callHash]).toBeUndefined();
+  });
+});
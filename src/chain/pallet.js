@@ -0,0 +1,259 @@
+const { bnToBn } = require('@polkadot/util');
+const { WorkflowError } = require('../Errors');
+
+const supportedPallets = ['uniques', 'nfts'];
+
+// the default config of the collections that are created on the nfts pallet, only the issuer can mint.
+const defaultCollectionConfig = {
+  settings: 0,
+  maxSupply: null,
+  mintSettings: {
+    mintType: 'Issuer',
+    price: null,
+    startBlock: null,
+    endBlock: null,
+    defaultItemSettings: 0,
+  },
+};
+
+// the role bit flags of the nfts pallet
+const nftsRoles = {
+  issuer: 0b001,
+  freezer: 0b010,
+  admin: 0b100,
+};
+
+// the collection setting bit flags of the nfts pallet that are disabled by lockCollection
+const nftsCollectionSettings = {
+  transfers: 0b001,
+  metadata: 0b010,
+  attributes: 0b100,
+};
+
+// the class role that the origin of a call has to hold
+const uniquesCallRoles = {
+  mint: 'issuer',
+  metadata: 'owner',
+  attributes: 'owner',
+  burn: 'admin',
+};
+// an item is only burnt by its owner on the nfts pallet, so no class role is needed to burn
+const nftsCallRoles = {
+  mint: 'issuer',
+  metadata: 'admin',
+  attributes: 'owner',
+};
+
+// the max length of the metadata, and of the keys and values of the attributes
+const getLimits = (consts) => ({
+  string: Number(consts.stringLimit.toString()),
+  key: Number(consts.keyLimit.toString()),
+  value: Number(consts.valueLimit.toString()),
+});
+
+const uniquesAdapter = (api) => ({
+  name: 'uniques',
+  callRoles: uniquesCallRoles,
+  create: (classId, admin) => api.tx.uniques.create(classId, admin),
+  // the class id is chosen by the caller on the uniques pallet
+  getCreatedClassId: (events, classId) => classId,
+  queryNextClassId: async (classId) => classId,
+  mint: (classId, instanceId, owner) =>
+    api.tx.uniques.mint(classId, instanceId, owner),
+  burn: (classId, instanceId) => api.tx.uniques.burn(classId, instanceId, null),
+  setMetadata: (classId, instanceId, data, isFrozen = false) =>
+    api.tx.uniques.setMetadata(classId, instanceId, data, isFrozen),
+  clearMetadata: (classId, instanceId) =>
+    api.tx.uniques.clearMetadata(classId, instanceId),
+  setCollectionMetadata: (classId, data, isFrozen = false) =>
+    api.tx.uniques.setCollectionMetadata(classId, data, isFrozen),
+  setAttribute: (classId, instanceId, key, value) =>
+    api.tx.uniques.setAttribute(classId, instanceId ?? null, key, value),
+  setTeam: (classId, { issuer, admin, freezer }) =>
+    api.tx.uniques.setTeam(classId, issuer, admin, freezer),
+  transferOwnership: (classId, owner) =>
+    api.tx.uniques.transferOwnership(classId, owner),
+  // the metadata and attributes are frozen by setting the metadata with isFrozen on the uniques pallet
+  lockCollection: (classId, { transfers }) =>
+    transfers ? [api.tx.uniques.freezeClass(classId)] : [],
+  // the deposits that are reserved by the pallet, older runtimes name the collections and items classes and instances
+  getDeposits: () => {
+    const consts = api.consts.uniques;
+    return {
+      class: bnToBn(consts.collectionDeposit ?? consts.classDeposit),
+      instance: bnToBn(consts.itemDeposit ?? consts.instanceDeposit),
+      metadataBase: bnToBn(consts.metadataDepositBase),
+      attributeBase: bnToBn(consts.attributeDepositBase),
+      perByte: bnToBn(consts.depositPerByte),
+    };
+  },
+  getLimits: () => getLimits(api.consts.uniques),
+  queryClass: async (classId) =>
+    (await api.query.uniques.class(classId))?.unwrapOr(undefined)?.toJSON(),
+  queryClassRoles: async (classId) => {
+    const details = (await api.query.uniques.class(classId))
+      ?.unwrapOr(undefined)
+      ?.toJSON();
+    if (!details) return undefined;
+    const { owner, issuer, admin, freezer } = details;
+    return { owner, issuer, admin, freezer };
+  },
+  queryInstanceOwner: async (classId, instanceId) =>
+    (await api.query.uniques.asset(classId, instanceId))
+      ?.unwrapOr(undefined)
+      ?.owner?.toString(),
+  queryInstanceIds: async (classId) =>
+    (await api.query.uniques.asset.keys(classId)).map(({ args }) =>
+      args[1].toString()
+    ),
+  queryInstanceMetadata: (classId, instanceId) =>
+    api.query.uniques.instanceMetadataOf(classId, instanceId),
+  queryAccountInstances: (address, classId) =>
+    classId === undefined
+      ? api.query.uniques.account.keys(address)
+      : api.query.uniques.account.keys(address, classId),
+});
+
+const nftsAdapter = (api) => ({
+  name: 'nfts',
+  callRoles: nftsCallRoles,
+  create: (classId, admin, collectionConfig) =>
+    api.tx.nfts.create(admin, collectionConfig ?? defaultCollectionConfig),
+  // the collection id is assigned by the nfts pallet, read it from the Created event
+  getCreatedClassId: (events, classId) => {
+    const created = events.find(({ event }) =>
+      api.events.nfts.Created.is(event)
+    );
+    if (!created) {
+      throw new WorkflowError(
+        'No nfts.Created event was found to read the assigned collection id'
+      );
+    }
+    return created.event.data[0].toString();
+  },
+  // the id that the next created collection is assigned
+  queryNextClassId: async () =>
+    (await api.query.nfts.nextCollectionId()).unwrapOr(0).toString(),
+  mint: (classId, instanceId, owner) =>
+    api.tx.nfts.mint(classId, instanceId, owner, null),
+  // older versions of the nfts pallet also take a check_owner argument
+  burn: (classId, instanceId) =>
+    api.tx.nfts.burn.meta.args.length > 2
+      ? api.tx.nfts.burn(classId, instanceId, null)
+      : api.tx.nfts.burn(classId, instanceId),
+  // metadata is frozen separately by lockCollection on the nfts pallet
+  setMetadata: (classId, instanceId, data) =>
+    api.tx.nfts.setMetadata(classId, instanceId, data),
+  clearMetadata: (classId, instanceId) =>
+    api.tx.nfts.clearMetadata(classId, instanceId),
+  setCollectionMetadata: (classId, data) =>
+    api.tx.nfts.setCollectionMetadata(classId, data),
+  setAttribute: (classId, instanceId, key, value) =>
+    api.tx.nfts.setAttribute(
+      classId,
+      instanceId ?? null,
+      'CollectionOwner',
+      key,
+      value
+    ),
+  setTeam: (classId, { issuer, admin, freezer }) =>
+    api.tx.nfts.setTeam(
+      classId,
+      issuer ?? null,
+      admin ?? null,
+      freezer ?? null
+    ),
+  transferOwnership: (classId, owner) =>
+    api.tx.nfts.transferOwnership(classId, owner),
+  lockCollection: (classId, locks) => {
+    const settings = Object.entries(nftsCollectionSettings).reduce(
+      (flags, [lock, flag]) => (locks[lock] ? flags | flag : flags),
+      0
+    );
+    return settings ? [api.tx.nfts.lockCollection(classId, settings)] : [];
+  },
+  getDeposits: () => {
+    const consts = api.consts.nfts;
+    return {
+      class: bnToBn(consts.collectionDeposit),
+      instance: bnToBn(consts.itemDeposit),
+      metadataBase: bnToBn(consts.metadataDepositBase),
+      attributeBase: bnToBn(consts.attributeDepositBase),
+      perByte: bnToBn(consts.depositPerByte),
+    };
+  },
+  getLimits: () => getLimits(api.consts.nfts),
+  queryClass: async (classId) =>
+    (await api.query.nfts.collection(classId))?.unwrapOr(undefined)?.toJSON(),
+  queryClassRoles: async (classId) => {
+    const details = (await api.query.nfts.collection(classId))
+      ?.unwrapOr(undefined)
+      ?.toJSON();
+    if (!details) return undefined;
+    let roles = { owner: details.owner };
+    const entries = await api.query.nfts.collectionRoleOf.entries(classId);
+    for (let [key, value] of entries) {
+      const [, account] = key.args;
+      const flags = Number((value.unwrapOr?.(0) ?? value).toString());
+      for (let [role, flag] of Object.entries(nftsRoles)) {
+        if (flags & flag) roles[role] = account.toString();
+      }
+    }
+    return roles;
+  },
+  queryInstanceOwner: async (classId, instanceId) =>
+    (await api.query.nfts.item(classId, instanceId))
+      ?.unwrapOr(undefined)
+      ?.owner?.toString(),
+  queryInstanceIds: async (classId) =>
+    (await api.query.nfts.item.keys(classId)).map(({ args }) =>
+      args[1].toString()
+    ),
+  queryInstanceMetadata: (classId, instanceId) =>
+    api.query.nfts.itemMetadataOf(classId, instanceId),
+  queryAccountInstances: (address, classId) =>
+    classId === undefined
+      ? api.query.nfts.account.keys(address)
+      : api.query.nfts.account.keys(address, classId),
+});
+
+const adapters = {
+  uniques: uniquesAdapter,
+  nfts: nftsAdapter,
+};
+
+// picks the configured pallet, or detects the available pallet on the chain. uniques is preferred if both exist.
+const detectPallet = (api, pallet) => {
+  if (pallet && pallet !== 'auto') {
+    if (!supportedPallets.includes(pallet)) {
+      throw new WorkflowError(
+        `network.pallet: ${pallet} is not supported. Supported pallets are: ${supportedPallets.join(
+          ', '
+        )}.`
+      );
+    }
+    if (!api.tx[pallet]) {
+      throw new WorkflowError(
+        `The configured pallet: ${pallet} is not available on the network`
+      );
+    }
+    return pallet;
+  }
+
+  const detected = supportedPallets.find((name) => api.tx[name]);
+  if (!detected) {
+    throw new WorkflowError(
+      `None of the supported pallets (${supportedPallets.join(
+        ', '
+      )}) is available on the network`
+    );
+  }
+  return detected;
+};
+
+const createPalletAdapter = (api, pallet) => {
+  const name = detectPallet(api, pallet);
+  return adapters[name](api);
+};
+
+module.exports = { supportedPallets, createPalletAdapter };
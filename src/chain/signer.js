@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const { isHex } = require('@polkadot/util');
+const { keyExtractSuri, mnemonicValidate } = require('@polkadot/util-crypto');
+const { WorkflowError } = require('../Errors');
+
+const inqAsk = inquirer.createPromptModule();
+
+// the environment variable that the password of the network.keystoreFile is read from
+const keystorePasswordEnv = 'UNIQCAMP_KEYSTORE_PASSWORD';
+
+// the config elements that the signing key can be loaded from, only one of them can be configured
+const signerSources = [
+  'accountSeed',
+  'accountSeedEnv',
+  'keystoreFile',
+  'signerAddress',
+];
+
+// checks that the seed is a valid secret uri: a bip39 mnemonic, a 32 bytes hex seed or a dev uri (e.g. //Alice),
+// followed by an optional derivation path.
+const isValidSeed = (seed) => {
+  if (typeof seed !== 'string') return false;
+  const suri = seed.trim();
+  // a dev uri has no phrase, the keyring derives it from the dev mnemonic
+  if (suri.startsWith('//')) return suri.length > 2;
+  let phrase;
+  try {
+    ({ phrase } = keyExtractSuri(suri));
+  } catch {
+    return false;
+  }
+  if (isHex(phrase)) return isHex(phrase, 256);
+  return mnemonicValidate(phrase);
+};
+
+const validateSeed = (seed, element) => {
+  if (!isValidSeed(seed)) {
+    // the seed itself is not included in the error, so it is not printed
+    throw new WorkflowError(
+      `${element} is not a valid mnemonic, hex seed or secret uri.`
+    );
+  }
+};
+
+const readKeystore = (keystoreFile) => {
+  const keystorePath = path.resolve(keystoreFile);
+  if (!fs.existsSync(keystorePath)) {
+    throw new WorkflowError(
+      `network.keystoreFile does not exist at the configured path: ${keystorePath}.`
+    );
+  }
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+  } catch (err) {
+    throw new WorkflowError(
+      `network.keystoreFile: ${keystorePath} is not a valid json file. ${err.message}`
+    );
+  }
+  if (!json?.address || !json?.encoded || !json?.encoding) {
+    throw new WorkflowError(
+      `network.keystoreFile: ${keystorePath} is not an exported polkadot-js account.`
+    );
+  }
+  return json;
+};
+
+const askSecret = async (message) => {
+  const { secret } =
+    (await inqAsk([
+      {
+        type: 'password',
+        name: 'secret',
+        mask: '*',
+        message,
+      },
+    ])) || {};
+  return secret;
+};
+
+// unlocks the account of an exported polkadot-js json keystore with its password
+const loadKeystorePair = async (keyring, keystoreFile) => {
+  const json = readKeystore(keystoreFile);
+  const pair = keyring.addFromJson(json);
+  const password =
+    process.env[keystorePasswordEnv] ??
+    (await askSecret(`Enter the password of the account ${json.address}`));
+  try {
+    pair.unlock(password);
+  } catch {
+    throw new WorkflowError(
+      `The password of the account ${json.address} in the network.keystoreFile is not correct. Please enter the right password or set the ${keystorePasswordEnv} environment variable.`
+    );
+  }
+  return pair;
+};
+
+// loads the signing pair from the signer source that is configured in the network section, or from a seed
+// that is entered in a hidden prompt if no source is configured.
+const loadSigningPair = async (keyring, network) => {
+  const { accountSeed, accountSeedEnv, keystoreFile, signerAddress } =
+    network || {};
+  if (accountSeed) {
+    validateSeed(accountSeed, 'network.accountSeed');
+    return keyring.createFromUri(accountSeed.trim());
+  }
+  if (accountSeedEnv) {
+    const seed = process.env[accountSeedEnv];
+    if (!seed) {
+      throw new WorkflowError(
+        `The environment variable ${accountSeedEnv} of the network.accountSeedEnv is not set.`
+      );
+    }
+    validateSeed(seed, `The environment variable ${accountSeedEnv}`);
+    return keyring.createFromUri(seed.trim());
+  }
+  if (keystoreFile) {
+    return loadKeystorePair(keyring, keystoreFile);
+  }
+  if (signerAddress) {
+    // the calls are signed externally in the unsigned mode, the pair is only used for its address
+    return keyring.addFromAddress(signerAddress);
+  }
+  const seed = await askSecret('Enter the seed of the signing account');
+  if (!seed) {
+    throw new WorkflowError(
+      'No account seed phrase is configured to be used with the network. Please enter a seed, or configure one of: ' +
+        signerSources.map((source) => `network.${source}`).join(', ')
+    );
+  }
+  validateSeed(seed, 'The entered seed');
+  return keyring.createFromUri(seed.trim());
+};
+
+// the pair of the signer for the commands that send no transactions, it is only used for its address, so no seed or
+// password is asked for. if no signer is configured, a signatory of the multisig or the proxied account is used.
+const loadAddressPair = (keyring, network) => {
+  const {
+    accountSeed,
+    accountSeedEnv,
+    keystoreFile,
+    signerAddress,
+    multisig,
+    proxiedAddress,
+  } = network || {};
+  const seed = accountSeed || (accountSeedEnv && process.env[accountSeedEnv]);
+  if (!signerAddress && seed) {
+    validateSeed(seed, 'The account seed');
+    return keyring.createFromUri(seed.trim());
+  }
+  const address =
+    signerAddress ||
+    (keystoreFile && readKeystore(keystoreFile).address) ||
+    multisig?.signatories?.[0] ||
+    proxiedAddress;
+  return address ? keyring.addFromAddress(address) : undefined;
+};
+
+module.exports = {
+  keystorePasswordEnv,
+  signerSources,
+  isValidSeed,
+  validateSeed,
+  readKeystore,
+  loadSigningPair,
+  loadAddressPair,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keyring } = require('@polkadot/keyring');
+const { cryptoWaitReady } = require('@polkadot/util-crypto');
+const {
+  keystorePasswordEnv,
+  isValidSeed,
+  loadSigningPair,
+  loadAddressPair,
+} = require('./signer');
+
+describe('signer tests', () => {
+  const seedEnv = 'UNIQCAMP_TEST_SEED';
+  let keyring;
+  let tmpDir;
+
+  beforeAll(async () => {
+    await cryptoWaitReady();
+  });
+
+  beforeEach(() => {
+    keyring = new Keyring({ type: 'sr25519' });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env[seedEnv];
+    delete process.env[keystorePasswordEnv];
+  });
+
+  it('test the valid and invalid seeds', () => {
+    const mnemonic =
+      'legal winner thank year wave sausage worth useful legal winner thank yellow';
+    expect(isValidSeed(mnemonic)).toBe(true);
+    expect(isValidSeed(`${mnemonic}//hard/soft///password`)).toBe(true);
+    expect(isValidSeed('//Alice')).toBe(true);
+    expect(isValidSeed(`0x${'ab'.repeat(32)}`)).toBe(true);
+
+    expect(isValidSeed(`0x${'ab'.repeat(16)}`)).toBe(false);
+    // the same words with a last word that fails the checksum
+    expect(isValidSeed(mnemonic.replace(/yellow$/, 'wave'))).toBe(false);
+    expect(isValidSeed('not a seed')).toBe(false);
+    expect(isValidSeed(undefined)).toBe(false);
+  });
+
+  it('test loading the seed from an environment variable', async () => {
+    process.env[seedEnv] = '//Alice';
+    const pair = await loadSigningPair(keyring, { accountSeedEnv: seedEnv });
+    expect(pair.address).toEqual(keyring.createFromUri('//Alice').address);
+    expect(pair.isLocked).toBe(false);
+
+    delete process.env[seedEnv];
+    await expect(
+      loadSigningPair(keyring, { accountSeedEnv: seedEnv })
+    ).rejects.toThrow(`${seedEnv} of the network.accountSeedEnv is not set`);
+  });
+
+  it('test loading the seed from an invalid config', async () => {
+    await expect(
+      loadSigningPair(keyring, { accountSeed: 'not a seed' })
+    ).rejects.toThrow('network.accountSeed is not a valid mnemonic');
+  });
+
+  it('test unlocking a keystore file', async () => {
+    const alice = new Keyring({ type: 'sr25519' }).createFromUri('//Alice');
+    const keystoreFile = path.join(tmpDir, 'alice.json');
+    fs.writeFileSync(keystoreFile, JSON.stringify(alice.toJson('secret')));
+
+    process.env[keystorePasswordEnv] = 'secret';
+    const pair = await loadSigningPair(keyring, { keystoreFile });
+    expect(pair.address).toEqual(alice.address);
+    expect(pair.isLocked).toBe(false);
+
+    process.env[keystorePasswordEnv] = 'wrong';
+    await expect(
+      loadSigningPair(new Keyring({ type: 'sr25519' }), { keystoreFile })
+    ).rejects.toThrow('is not correct');
+  });
+
+  it('test the address of a read only signer', () => {
+    const alice = keyring.createFromUri('//Alice').address;
+    const keystoreFile = path.join(tmpDir, 'alice.json');
+    fs.writeFileSync(
+      keystoreFile,
+      JSON.stringify(keyring.createFromUri('//Alice').toJson('secret'))
+    );
+    // no password is needed for the address of the keystore
+    expect(loadAddressPair(keyring, { keystoreFile }).address).toEqual(alice);
+    expect(loadAddressPair(keyring, { proxiedAddress: alice }).isLocked).toBe(
+      true
+    );
+    expect(loadAddressPair(keyring, {})).toBeUndefined();
+  });
+});
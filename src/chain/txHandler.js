@@ -1,20 +1,41 @@
-const { importantMessage } = require('../utils/styles');
+const { setTimeout: sleep } = require('timers/promises');
+const { importantMessage, notificationMessage } = require('../utils/styles');
+const { TxError } = require('../Errors');
+
+// the statuses of a tx that will never be included in a block
+const failedStatuses = ['Dropped', 'Invalid', 'Usurped', 'FinalityTimeout'];
+
+const defaultTxOptions = {
+  timeout: 300000,
+  retries: 3,
+  backoff: 2000,
+};
+let txOptions = { ...defaultTxOptions };
+
+// sets the timeout (ms) of each tx, the number of retries, and the initial backoff (ms) between the retries
+exports.configureTx = (options) => {
+  txOptions = { ...defaultTxOptions, ...options };
+};
+
+const decodeDispatchError = (api, dispatchError) => {
+  if (dispatchError.isModule) {
+    // for module errors, we have the section indexed, lookup
+    const decoded = api.registry.findMetaError(dispatchError.asModule);
+    const { docs, name, section } = decoded;
+
+    return `${section}.${name}: ${docs?.join(' ')}`;
+  }
+  // Other, CannotLookup, BadOrigin, no extra info
+  return dispatchError.toString();
+};
+exports.decodeDispatchError = decodeDispatchError;
 
 const decodeResult = (api, result) => {
   let { dispatchInfo, dispatchError, events = [] } = result;
   const success = !dispatchError;
   let error;
   if (dispatchError) {
-    if (dispatchError.isModule) {
-      // for module errors, we have the section indexed, lookup
-      const decoded = api.registry.findMetaError(dispatchError.asModule);
-      const { docs, name, section } = decoded;
-
-      error = `${section}.${name}: ${docs?.join(' ')}`;
-    } else {
-      // Other, CannotLookup, BadOrigin, no extra info
-      error = dispatchError.toString();
-    }
+    error = decodeDispatchError(api, dispatchError);
   }
   events = events.filter(
     ({ event }) => !api?.events.system.ExtrinsicFailed.is(event)
@@ -25,20 +46,55 @@ const decodeResult = (api, result) => {
   return { success, events, error };
 };
 
-exports.signAndSendTx = async (
-  api,
-  tx,
-  signingPair,
-  finalize = true,
-  dryRun = false
-) => {
+// the interval (ms) between the checks of a tx that may still be included after it has failed
+const inclusionCheckInterval = 6000;
+
+// an error that is returned by the node when the tx is submitted, e.g. 1010: Invalid Transaction, is not retried
+const isRpcError = (err) => Number.isInteger(err?.code);
+
+const sendTx = (api, tx, signingPair, finalize, dryRun, timeout) => {
   return new Promise((resolve, reject) => {
+    let timer;
+    let unsub;
+    let settled = false;
+    // the best block number when the tx is sent, the tx may be included in a block after it has failed
+    let sentAt;
     let cb = ({ success, events, error }) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      api.off('disconnected', onDisconnect);
+      unsub && unsub();
       if (!success) {
         reject(error);
       }
       resolve(events);
     };
+    let fail = (message) => {
+      cb({
+        success: false,
+        error: new TxError(message, true, sentAt),
+      });
+    };
+    // the subscription of an in-flight tx never settles if the connection is lost, then the tx is looked up on chain
+    // by its hash and nonce once reconnected, instead of being signed again
+    let onDisconnect = () => {
+      fail(
+        `The connection is lost while sending the transaction ${tx.meta.name}`
+      );
+    };
+    if (!dryRun) {
+      api.on('disconnected', onDisconnect);
+    }
+    if (!dryRun && timeout) {
+      timer = setTimeout(() => {
+        fail(
+          `Transaction ${tx.meta.name} is not ${
+            finalize ? 'finalized' : 'included in a block'
+          } after ${timeout}ms`
+        );
+      }, timeout);
+    }
     let signAndSendAsync = async () => {
       try {
         if (dryRun) {
@@ -51,8 +107,17 @@ exports.signAndSendTx = async (
           return;
         }
 
+        // an extrinsic that is signed externally is sent as it is
+        if (signingPair) {
+          await tx.signAsync(signingPair);
+        }
+        // the era of the tx starts at or before the best block, so its death is known from the best block after signing
+        const header = await api.rpc.chain.getHeader();
+        if (settled) return;
+        sentAt = header.number.toNumber();
+
         let dispatchResult;
-        const unsub = await tx.signAndSend(signingPair, (callResult) => {
+        unsub = await tx.send((callResult) => {
           const { status, ...result } = callResult;
           if (status.isInBlock) {
             dispatchResult = decodeResult(api, result);
@@ -65,25 +130,177 @@ exports.signAndSendTx = async (
             );
             if (!finalize) {
               cb && cb({ ...dispatchResult });
-              unsub();
             }
           } else if (status.isBroadcast) {
             console.log('Transaction broadcasted.');
           } else if (status.isFinalized) {
             console.log('Transaction finalized.');
             finalize && cb && cb({ ...dispatchResult });
-            unsub();
           } else if (status.isReady) {
             console.log('Transaction isReady.');
+          } else if (failedStatuses.includes(status.type)) {
+            fail(
+              `Transaction ${tx.meta.name} failed with the status ${status.type}`
+            );
           } else {
             console.log(`Other status ${status}`);
           }
         });
+        // the tx may have been settled before the subscription is returned
+        if (settled) unsub();
       } catch (err) {
-        // the call has failed off chain with an error
-        cb({ success: false, events: [], error: err });
+        // the call has failed off chain. the node rejects an invalid tx, e.g. a tx that can not pay its fees, and it is
+        // not retried. on other errors, e.g. a lost connection, the tx may have been sent already.
+        cb({
+          success: false,
+          events: [],
+          error: new TxError(
+            err?.message ?? String(err),
+            !dryRun && !isRpcError(err),
+            sentAt
+          ),
+        });
       }
     };
     return signAndSendAsync();
   });
 };
+
+// waits until the api is connected again, to the same or the next endpoint of the provider
+const waitForConnection = (api, timeout) => {
+  if (api.isConnected) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    let timer;
+    const onConnected = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    api.once('connected', onConnected);
+    if (timeout) {
+      timer = setTimeout(() => {
+        api.off('connected', onConnected);
+        reject(
+          new TxError(`The connection is not restored after ${timeout}ms`)
+        );
+      }, timeout);
+    }
+  });
+};
+exports.waitForConnection = waitForConnection;
+
+// looks up a tx that has failed while it was in flight in the finalized blocks from the block it was sent at.
+// returns its dispatch result if it is included, or undefined once it can not be included anymore: its nonce is
+// used by another tx, or its era has ended.
+const findInclusion = async (api, tx, sentAt, timeout) => {
+  const hash = tx.hash.toHex();
+  const death = tx.era.isMortalEra
+    ? tx.era.asMortalEra.death(sentAt)
+    : undefined;
+  const startedAt = Date.now();
+  let blockNumber = sentAt;
+  for (;;) {
+    await waitForConnection(api, timeout);
+    const finalizedHash = await api.rpc.chain.getFinalizedHead();
+    const finalized = (
+      await api.rpc.chain.getHeader(finalizedHash)
+    ).number.toNumber();
+    for (; blockNumber <= finalized; blockNumber++) {
+      const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+      const { block } = await api.rpc.chain.getBlock(blockHash);
+      const index = block.extrinsics.findIndex(
+        (extrinsic) => extrinsic.hash.toHex() === hash
+      );
+      if (index >= 0) {
+        console.log(
+          `Transaction ${tx.meta.name} is found at blockHash ${blockHash}`
+        );
+        const events = (await api.query.system.events.at(blockHash)).filter(
+          ({ phase }) =>
+            phase.isApplyExtrinsic && phase.asApplyExtrinsic.eqn(index)
+        );
+        const failed = events.find(({ event }) =>
+          api.events.system.ExtrinsicFailed.is(event)
+        );
+        return decodeResult(api, {
+          dispatchError: failed?.event.data[0],
+          events,
+        });
+      }
+    }
+    const { nonce } = await api.query.system.account.at(
+      finalizedHash,
+      tx.signer
+    );
+    if (nonce.gt(tx.nonce)) return undefined;
+    if (death !== undefined && finalized >= death) return undefined;
+    // an immortal tx may be included at any time, unless its nonce is used
+    if (death === undefined && timeout && Date.now() - startedAt > timeout) {
+      throw new TxError(
+        `Transaction ${tx.meta.name} is not included after ${timeout}ms, and it may still be included. Please check the account ${tx.signer} on chain before running the workflow again.`
+      );
+    }
+    await sleep(inclusionCheckInterval);
+  }
+};
+
+exports.findInclusion = findInclusion;
+
+// sends the tx, and retries the failed submissions with an exponential backoff.
+// a tx that has failed while it was in flight, e.g. timed out or dropped, is looked up on chain until it is included or
+// can not be included anymore, so it is never sent twice. then it is only sent again if isApplied is given, which
+// re-checks the chain state before the retry, e.g. for a batch whose calls are applied by another tx.
+exports.signAndSendTx = async (
+  api,
+  tx,
+  signingPair,
+  finalize = true,
+  dryRun = false,
+  isApplied
+) => {
+  const { timeout, retries, backoff } = txOptions;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendTx(api, tx, signingPair, finalize, dryRun, timeout);
+    } catch (err) {
+      if (!(err instanceof TxError) || !err.retryable) {
+        throw err;
+      }
+      if (err.inFlight !== undefined) {
+        console.log(
+          notificationMessage(
+            `${err.message}. checking if it is included on chain ...`
+          )
+        );
+        const result = await findInclusion(api, tx, err.inFlight, timeout);
+        if (result) {
+          if (!result.success) throw result.error;
+          return result.events;
+        }
+        if (!isApplied) {
+          throw new TxError(
+            `Transaction ${tx.meta.name} is not included on chain. It is not sent again since its result can not be checked, please run the workflow again to resend it.`
+          );
+        }
+      }
+      if (attempt >= retries) {
+        throw err;
+      }
+      const delay = backoff * 2 ** attempt;
+      console.log(
+        notificationMessage(
+          `${err.message}. retrying in ${delay}ms (${attempt + 1}/${retries})`
+        )
+      );
+      await sleep(delay);
+      await waitForConnection(api, timeout);
+      if (isApplied && (await isApplied())) {
+        console.log(
+          notificationMessage(
+            `Transaction ${tx.meta.name} is already applied on chain, it is not sent again`
+          )
+        );
+        return [];
+      }
+    }
+  }
+};
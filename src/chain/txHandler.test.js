@@ -0,0 +1,205 @@
+const EventEmitter = require('events');
+const { signAndSendTx, configureTx } = require('./txHandler');
+
+describe('tx handler tests', () => {
+  // a fake chain with a list of finalized blocks, each with the hashes of its extrinsics
+  let chain;
+  const api = Object.assign(new EventEmitter(), {
+    events: {
+      system: {
+        ExtrinsicFailed: { is: (event) => event.method === 'ExtrinsicFailed' },
+      },
+    },
+    registry: {},
+    isConnected: true,
+    rpc: {
+      chain: {
+        // the best block without a hash, and the finalized block with its hash
+        getHeader: async (hash) => ({
+          number: {
+            toNumber: () => (hash ? chain.blocks.length - 1 : chain.best),
+          },
+        }),
+        getFinalizedHead: async () => 'finalized',
+        getBlockHash: async (number) => number,
+        getBlock: async (number) => ({
+          block: {
+            extrinsics: chain.blocks[number].map((hash) => ({
+              hash: { toHex: () => hash },
+            })),
+          },
+        }),
+      },
+    },
+    query: {
+      system: {
+        events: {
+          at: async () => [
+            {
+              phase: {
+                isApplyExtrinsic: true,
+                asApplyExtrinsic: { eqn: () => true },
+              },
+              event: {
+                method: chain.failed ? 'ExtrinsicFailed' : 'Minted',
+                data: ['BadOrigin'],
+              },
+            },
+          ],
+        },
+        account: {
+          at: async () => ({ nonce: { gt: (nonce) => chain.nonce > nonce } }),
+        },
+      },
+    },
+  });
+  const status = (type) => ({
+    type,
+    isInBlock: type === 'InBlock',
+    isFinalized: type === 'Finalized',
+    isBroadcast: false,
+    isReady: false,
+    asInBlock: '0x01',
+  });
+  // a fake tx that reports the statuses of each submission in order, its era ends 4 blocks after it is sent
+  const fakeTx = (...submissions) => {
+    const tx = {
+      meta: { name: 'batchAll' },
+      args: [],
+      nonce: 0,
+      signer: 'alice',
+      hash: { toHex: () => `0x${tx.send.mock.calls.length}` },
+      era: {
+        isMortalEra: true,
+        asMortalEra: { death: (current) => current + 4 },
+      },
+      signAsync: jest.fn(async () => tx),
+      send: jest.fn(async (callback) => {
+        const statuses = submissions.shift() || [];
+        setImmediate(() =>
+          statuses.forEach((type) =>
+            callback({ status: status(type), events: [] })
+          )
+        );
+        return () => {};
+      }),
+    };
+    return tx;
+  };
+
+  beforeAll(() => {
+    configureTx({ timeout: 50, retries: 2, backoff: 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    configureTx();
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    chain = { blocks: [[]], best: 0, nonce: 0, failed: false };
+  });
+
+  it('test finalized tx', async () => {
+    const tx = fakeTx(['InBlock', 'Finalized']);
+    await expect(signAndSendTx(api, tx, {})).resolves.toEqual([]);
+    expect(tx.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('test failed statuses are retried once the era has ended', async () => {
+    const tx = fakeTx(['Dropped'], ['Invalid'], ['InBlock', 'Finalized']);
+    const isApplied = jest.fn(async () => false);
+    // the era of each tx has ended without the tx
+    chain.blocks.push([], [], [], [], [], [], [], [], [], []);
+    await expect(
+      signAndSendTx(api, tx, {}, true, false, isApplied)
+    ).resolves.toEqual([]);
+    expect(tx.send).toHaveBeenCalledTimes(3);
+    expect(isApplied).toHaveBeenCalledTimes(2);
+  });
+
+  it('test in-flight tx is not sent again without isApplied', async () => {
+    const tx = fakeTx(['Usurped'], ['InBlock', 'Finalized']);
+    chain.nonce = 1;
+    await expect(signAndSendTx(api, tx, {})).rejects.toThrow(
+      'is not sent again since its result can not be checked'
+    );
+    expect(tx.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('test timed out tx that is included is not sent again', async () => {
+    const tx = fakeTx(['InBlock']);
+    const isApplied = jest.fn(async () => false);
+    chain.blocks.push(['0x1']);
+    await expect(
+      signAndSendTx(api, tx, {}, true, false, isApplied)
+    ).resolves.toHaveLength(1);
+    expect(tx.send).toHaveBeenCalledTimes(1);
+    expect(isApplied).not.toHaveBeenCalled();
+  });
+
+  it('test timed out tx that has failed on chain is not sent again', async () => {
+    const tx = fakeTx(['InBlock']);
+    chain.blocks.push(['0x1']);
+    chain.failed = true;
+    await expect(
+      signAndSendTx(api, tx, {}, true, false, async () => false)
+    ).rejects.toEqual('BadOrigin');
+    expect(tx.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('test rejected tx is not retried', async () => {
+    const tx = fakeTx();
+    tx.send.mockImplementation(async () => {
+      throw Object.assign(
+        new Error('1010: Invalid Transaction: Inability to pay some fees'),
+        { code: 1010 }
+      );
+    });
+    await expect(
+      signAndSendTx(api, tx, {}, true, false, async () => false)
+    ).rejects.toThrow('Inability to pay some fees');
+    expect(tx.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('test applied tx is not sent again', async () => {
+    const tx = fakeTx(['Usurped'], ['InBlock', 'Finalized']);
+    chain.nonce = 1;
+    const isApplied = jest.fn(async () => true);
+    await expect(
+      signAndSendTx(api, tx, {}, true, false, isApplied)
+    ).resolves.toEqual([]);
+    expect(isApplied).toHaveBeenCalledTimes(1);
+    expect(tx.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('test in-flight tx is looked up once reconnected', async () => {
+    // the first submission never settles, the connection is lost instead
+    const tx = fakeTx(['Broadcast'], ['InBlock', 'Finalized']);
+    const isApplied = jest.fn(async () => false);
+    const getBlock = jest.spyOn(api.rpc.chain, 'getBlock');
+    let lookedUpConnected;
+    getBlock.mockImplementation(async () => {
+      lookedUpConnected = api.isConnected;
+      // the original tx is included while the connection is lost
+      return { block: { extrinsics: [{ hash: { toHex: () => '0x1' } }] } };
+    });
+    const sent = signAndSendTx(api, tx, {}, true, false, isApplied);
+    setImmediate(() => {
+      api.isConnected = false;
+      api.emit('disconnected');
+      setTimeout(() => {
+        api.isConnected = true;
+        api.emit('connected');
+      }, 10);
+    });
+    await expect(sent).resolves.toHaveLength(1);
+    getBlock.mockRestore();
+    expect(lookedUpConnected).toBe(true);
+    expect(isApplied).not.toHaveBeenCalled();
+    expect(tx.send).toHaveBeenCalledTimes(1);
+    expect(tx.signAsync).toHaveBeenCalledTimes(1);
+    expect(api.listenerCount('disconnected')).toBe(0);
+  });
+});
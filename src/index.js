@@ -6,11 +6,26 @@ const {
   updateMetadata,
   renameFolderContent,
   burnAndReap,
+  precomputeCids,
+  exportCar,
+  retryFailed,
+  submitSigned,
+  generateQrCodes,
+  recoverSecrets,
+  decryptOutput,
+  reportStatus,
+  estimate,
+  listPinCache,
+  prunePinCache,
 } = require('./workflow/workflow');
 const { errorMessage, finalMessage } = require('./utils/styles');
 const { WorkflowError } = require('./Errors');
 const program = new Command();
 
+// the --unsigned option is either a flag or the path of the plan directory
+const getPlanDir = (unsigned) =>
+  unsigned === true ? './plan' : unsigned || undefined;
+
 program.version('0.0.1');
 
 program
@@ -18,8 +33,24 @@ program
   .description('Run the workflow that is defined in the workflow config file.')
   .argument(`<workflow-config>`, 'the workflow configuration file')
   .option('--dry-run', 'Enable dry-run')
+  .option(
+    '--unsigned [plan-dir]',
+    'Write the calls to a plan directory (defaults to ./plan) to be signed externally, instead of signing and sending them.'
+  )
+  .option(
+    '--precompute-cids',
+    'Only compute the cids of the media and metadata files, without uploading the files or sending any transactions.'
+  )
   .action(async (workflowConfig, options) => {
-    await runWorkflow(workflowConfig, options.dryRun ?? false);
+    if (options.precomputeCids) {
+      await precomputeCids(workflowConfig);
+    } else {
+      await runWorkflow(
+        workflowConfig,
+        options.dryRun ?? false,
+        getPlanDir(options.unsigned)
+      );
+    }
     console.log(finalMessage('\ndone!'));
   });
 
@@ -30,8 +61,120 @@ program
   )
   .argument(`<workflow-config>`, 'the workflow configuration file')
   .option('--dry-run', 'Enable dry-run')
+  .option(
+    '--unsigned [plan-dir]',
+    'Write the calls to a plan directory (defaults to ./plan) to be signed externally, instead of signing and sending them.'
+  )
+  .option(
+    '--precompute-cids',
+    'Only compute the cids of the media and metadata files, without uploading the files or sending any transactions.'
+  )
+  .action(async (workflowConfig, options) => {
+    if (options.precomputeCids) {
+      await precomputeCids(workflowConfig);
+    } else {
+      await updateMetadata(
+        workflowConfig,
+        options.dryRun ?? false,
+        getPlanDir(options.unsigned)
+      );
+    }
+    console.log(finalMessage('\ndone!'));
+  });
+
+program
+  .command('export-car')
+  .description(
+    'Export the media and the generated metadata files of all the instances in a single car archive, and write their cids to the datafile. The archive can be uploaded at once, instead of pinning the files one by one.'
+  )
+  .argument(`<workflow-config>`, 'the workflow configuration file')
+  .option(
+    '--out <car-file>',
+    'The path of the car archive, defaults to the datafile path with a .car extension'
+  )
   .action(async (workflowConfig, options) => {
-    await updateMetadata(workflowConfig, options.dryRun ?? false);
+    await exportCar(workflowConfig, options.out);
+    console.log(finalMessage('\ndone!'));
+  });
+
+program
+  .command('retry-failed')
+  .description(
+    'Resend the calls of the rows that have failed in the force batch mode, the failed rows are read from the final datafile of the workflow. The class is finalized once no row has failed.'
+  )
+  .argument(`<workflow-config>`, 'the workflow configuration file')
+  .action(async (workflowConfig) => {
+    await retryFailed(workflowConfig);
+    console.log(finalMessage('\ndone!'));
+  });
+
+program
+  .command('submit-signed')
+  .description(
+    'Submit the externally signed extrinsics of a plan that is written by the --unsigned mode, in order, and advance the checkpoints of the workflow as the calls are included.'
+  )
+  .argument(`<plan-dir>`, 'the plan directory')
+  .action(async (planDir) => {
+    await submitSigned(planDir);
+    console.log(finalMessage('\ndone!'));
+  });
+
+program
+  .command('generate-qr')
+  .description(
+    'Generate a qr code of the claim url for each gift secret in the final datafile of the workflow, e.g. to print the gift cards.'
+  )
+  .argument(`<workflow-config>`, 'the workflow configuration file')
+  .action(async (workflowConfig) => {
+    await generateQrCodes(workflowConfig);
+    console.log(finalMessage('\ndone!'));
+  });
+
+program
+  .command('recover-secrets')
+  .description(
+    'Rebuild the gift secrets and addresses from the master seed that is configured by instance.secrets.masterSeed, and check the gift accounts against the instances they own on chain.'
+  )
+  .argument(`<workflow-config>`, 'the workflow configuration file')
+  .action(async (workflowConfig) => {
+    await recoverSecrets(workflowConfig);
+    console.log(finalMessage('\ndone!'));
+  });
+
+program
+  .command('decrypt-output')
+  .description(
+    'Write a plaintext copy of the final datafile of the workflow, with the encrypted gift secrets decrypted.'
+  )
+  .argument(`<workflow-config>`, 'the workflow configuration file')
+  .option(
+    '--out <csv-file>',
+    'The path of the plaintext copy, defaults to the datafile path with a .decrypted.csv extension'
+  )
+  .action(async (workflowConfig, options) => {
+    await decryptOutput(workflowConfig, options.out);
+    console.log(finalMessage('\ndone!'));
+  });
+
+program
+  .command('status')
+  .description(
+    'Report the claim status of the instances in the final datafile of the workflow, with the current owner of each instance and the remaining balance of the gift accounts.'
+  )
+  .argument(`<workflow-config>`, 'the workflow configuration file')
+  .action(async (workflowConfig) => {
+    await reportStatus(workflowConfig);
+    console.log(finalMessage('\ndone!'));
+  });
+
+program
+  .command('estimate')
+  .description(
+    'Estimate the cost of the workflow: the deposits, the transaction fees and the initial funds, and compare it with the free balance of the account. No transaction is signed or sent.'
+  )
+  .argument(`<workflow-config>`, 'the workflow configuration file')
+  .action(async (workflowConfig) => {
+    await estimate(workflowConfig);
     console.log(finalMessage('\ndone!'));
   });
 
@@ -69,8 +212,44 @@ program
   )
   .argument(`<workflow-config>`, 'the workflow configuration file')
   .option('--dry-run', 'Enable dry-run')
+  .option(
+    '--unsigned [plan-dir]',
+    'Write the calls to a plan directory (defaults to ./plan) to be signed externally, instead of signing and sending them.'
+  )
   .action(async (workflowConfig, options) => {
-    await burnAndReap(workflowConfig, options.dryRun ?? false);
+    await burnAndReap(
+      workflowConfig,
+      options.dryRun ?? false,
+      getPlanDir(options.unsigned)
+    );
+    console.log(finalMessage('\ndone!'));
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description(
+    'Inspect or clear the cache of the files that are already pinned by the storage providers.'
+  );
+
+cacheCommand
+  .command('ls')
+  .description('List the pinned files that are recorded in the cache.')
+  .option('--provider <provider>', 'Only list the files pinned by the provider')
+  .action((options) => {
+    listPinCache(options.provider);
+  });
+
+cacheCommand
+  .command('prune')
+  .description(
+    'Remove the pinned files from the cache, so they are pinned again on the next run.'
+  )
+  .option(
+    '--provider <provider>',
+    'Only remove the files pinned by the provider'
+  )
+  .action((options) => {
+    prunePinCache(options.provider);
     console.log(finalMessage('\ndone!'));
   });
 
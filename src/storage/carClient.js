@@ -0,0 +1,69 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { CID } = require('multiformats/cid');
+const { CarWriter } = require('@ipld/car');
+const { computeCid, computeFileCid } = require('../utils/cid');
+
+// collects the blocks of the files in a CARv1 archive instead of pinning them.
+// the blocks are appended to a temporary file while the files are added, since the roots of the archive
+// are only known at the end. close() writes the archive with all the added files as its roots.
+const createCarClient = (carFile, cidVersion = 0) => {
+  const blocksFile = `${carFile}.blocks`;
+  const { writer, out } = CarWriter.createAppender();
+  const blocksWritten = pipeline(
+    Readable.from(out),
+    fs.createWriteStream(blocksFile)
+  );
+  const storedBlocks = new Set();
+  const roots = new Map();
+
+  const blockstore = {
+    put: async (cid, bytes) => {
+      // identical blocks are only stored once
+      if (!storedBlocks.has(cid.toString())) {
+        storedBlocks.add(cid.toString());
+        await writer.put({ cid, bytes });
+      }
+      return cid;
+    },
+    get: async () => undefined,
+    has: async (cid) => storedBlocks.has(cid.toString()),
+  };
+
+  return {
+    provider: 'car',
+    cidVersion,
+    pinFile: async function (sourcePath, name) {
+      const cid = await computeFileCid(sourcePath, cidVersion, blockstore);
+      roots.set(cid, name);
+      console.log(`added file ${sourcePath} to the car archive, cid:${cid}.`);
+      return cid;
+    },
+    pinJson: async function (json, name) {
+      const content = Buffer.from(JSON.stringify(json));
+      const cid = await computeCid(content, cidVersion, blockstore);
+      roots.set(cid, name);
+      return cid;
+    },
+    close: async function () {
+      await writer.close();
+      await blocksWritten;
+
+      // write the header with the roots, followed by the collected blocks
+      const header = CarWriter.create(
+        [...roots.keys()].map((cid) => CID.parse(cid))
+      );
+      header.writer.close();
+      await pipeline(Readable.from(header.out), fs.createWriteStream(carFile));
+      await pipeline(
+        fs.createReadStream(blocksFile),
+        fs.createWriteStream(carFile, { flags: 'a' })
+      );
+      fs.unlinkSync(blocksFile);
+      return { roots: roots.size, blocks: storedBlocks.size };
+    },
+  };
+};
+
+module.exports = { createCarClient };
@@ -0,0 +1,73 @@
+const { cache } = require('../utils/cache');
+const { computeFileCid } = require('../utils/cid');
+const { WorkflowError, CidMismatchError } = require('../Errors');
+const { createPinataClient } = require('./pinataClient');
+const { createKuboClient } = require('./kuboClient');
+const { createLocalClient } = require('./localClient');
+
+const providers = {
+  pinata: createPinataClient,
+  kubo: createKuboClient,
+  local: createLocalClient,
+};
+
+const createStorageClient = (storageConfig, onlyHash = false) => {
+  const provider = storageConfig?.provider;
+  if (!providers[provider]) {
+    throw new WorkflowError(`storage provider: ${provider} is not supported.`);
+  }
+  const cidVersion = parseInt(storageConfig?.cidVersion) || 0;
+  const providerClient = providers[provider](
+    storageConfig[provider],
+    cidVersion
+  );
+
+  return {
+    provider,
+    cidVersion,
+    onlyHash,
+    pinFile: async function (sourcePath, name, useCache = false) {
+      // compute the cid locally to verify the cid that is returned by the provider
+      const expectedCid = await computeFileCid(sourcePath, cidVersion);
+      if (onlyHash) {
+        console.log(`computed cid:${expectedCid} for file ${sourcePath}.`);
+        return expectedCid;
+      }
+
+      // the cache is keyed by the file content, so identical files are only pinned once per provider
+      const contentHash = await cache.getFileHash(sourcePath);
+      const cacheKey = `${provider}:v${cidVersion}:${contentHash}`;
+      let cid;
+      if (
+        useCache &&
+        cache.has(cacheKey) &&
+        cache.get(cacheKey) === expectedCid
+      ) {
+        cid = cache.get(cacheKey);
+        console.log(
+          `file ${sourcePath} has been already uploaded, returning cid:${cid} from cache.`
+        );
+        return cid;
+      } else {
+        cid = await providerClient.pinFile(sourcePath, name);
+        if (cid !== expectedCid) {
+          throw new CidMismatchError(sourcePath, expectedCid, cid);
+        }
+        // the files that are pinned without the cache, e.g. the metadata of each instance, are not cached either
+        if (useCache) {
+          cache.set(cacheKey, cid, { provider, contentHash, sourcePath });
+        }
+        console.log(`uploaded file ${sourcePath} to ${provider}, cid:${cid}.`);
+      }
+      return cid;
+    },
+    pinJson: function (json, name) {
+      return providerClient.pinJson(json, name);
+    },
+  };
+};
+
+module.exports = {
+  storageProviders: Object.keys(providers),
+  createStorageClient,
+};
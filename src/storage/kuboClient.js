@@ -0,0 +1,35 @@
+const fs = require('fs');
+const axios = require('axios');
+const FormData = require('form-data');
+
+const createKuboClient = (kuboConfig, cidVersion = 0) => {
+  const apiUrl = kuboConfig?.url?.replace(/\/+$/, '');
+
+  const add = async (content, filename) => {
+    const form = new FormData();
+    form.append('file', content, { filename });
+    const { data } = await axios.post(`${apiUrl}/api/v0/add`, form, {
+      params: { 'cid-version': cidVersion, pin: true },
+      headers: { ...form.getHeaders(), ...kuboConfig?.headers },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      // the add endpoint responds with newline delimited json, parse it manually
+      transformResponse: (res) => res,
+    });
+    // the last line holds the result for the added file
+    const lines = String(data).trim().split('\n');
+    return JSON.parse(lines.pop())?.Hash;
+  };
+
+  return {
+    name: 'kubo',
+    pinFile: async function (sourcePath, name) {
+      return add(fs.createReadStream(sourcePath), name);
+    },
+    pinJson: async function (json, name) {
+      return add(Buffer.from(JSON.stringify(json)), name);
+    },
+  };
+};
+
+module.exports = { createKuboClient };
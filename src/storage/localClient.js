@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const { computeCid, computeFileCid } = require('../utils/cid');
+
+// stores the files under their cid in a local directory, nothing is uploaded.
+const createLocalClient = (localConfig, cidVersion = 0) => {
+  const directory = localConfig?.directory;
+
+  const store = (cid, write) => {
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+    write(path.join(directory, cid));
+  };
+
+  return {
+    name: 'local',
+    pinFile: async function (sourcePath, name) {
+      const cid = await computeFileCid(sourcePath, cidVersion);
+      store(cid, (target) => fs.copyFileSync(sourcePath, target));
+      return cid;
+    },
+    pinJson: async function (json, name) {
+      const content = Buffer.from(JSON.stringify(json));
+      const cid = await computeCid(content, cidVersion);
+      store(cid, (target) => fs.writeFileSync(target, content));
+      return cid;
+    },
+  };
+};
+
+module.exports = { createLocalClient };
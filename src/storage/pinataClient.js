@@ -0,0 +1,34 @@
+const pinataSDK = require('@pinata/sdk');
+
+const createPinataClient = (pinataConfig, cidVersion = 0) => {
+  const pinata = pinataSDK(pinataConfig?.apiKey, pinataConfig?.secretApiKey);
+  return {
+    name: 'pinata',
+    pinFile: async function (sourcePath, name) {
+      const options = {
+        pinataMetadata: {
+          name,
+        },
+        pinataOptions: {
+          cidVersion,
+        },
+      };
+      let pinResult = await pinata.pinFromFS(sourcePath, options);
+      return pinResult?.IpfsHash;
+    },
+    pinJson: async function (json, name) {
+      const options = {
+        pinataMetadata: {
+          name,
+        },
+        pinataOptions: {
+          cidVersion,
+        },
+      };
+      let pinResult = await pinata.pinJSONToIPFS(json, options);
+      return pinResult?.IpfsHash;
+    },
+  };
+};
+
+module.exports = { createPinataClient };
@@ -1,13 +1,55 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const { readCsvSync, writeCsvSync, appendCsvSync } = require('./csv');
+
+const cacheHeader = [
+  'key hash',
+  'value',
+  'provider',
+  'content hash',
+  'source path',
+  'updated at',
+];
+
+const toCacheRecord = ({ keyHash, ...entry }) => [
+  keyHash,
+  entry.value,
+  entry.provider,
+  entry.contentHash,
+  entry.sourcePath,
+  entry.updatedAt,
+];
+
 const cache = {
   store: new Map(),
+  file: undefined,
   getHash: function (data) {
     let hashed = crypto.createHash('MD5').update(data).digest('hex');
     return hashed;
   },
-  set: function (key, value) {
+  getFileHash: function (filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('SHA256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  },
+  set: function (key, value, info = {}) {
     let keyHash = this.getHash(key);
-    this.store.set(keyHash, value);
+    const entry = {
+      ...info,
+      value,
+      updatedAt: new Date().toISOString(),
+    };
+    this.store.set(keyHash, entry);
+    // only the new entry is appended, an updated key is read from its last entry when the cache is loaded
+    if (this.file) {
+      appendCsvSync(this.file, cacheHeader, [
+        toCacheRecord({ keyHash, ...entry }),
+      ]);
+    }
   },
   has: function (key) {
     let keyHash = this.getHash(key);
@@ -15,11 +57,50 @@ const cache = {
   },
   get: function (key) {
     let keyHash = this.getHash(key);
-    return this.store.get(keyHash);
+    return this.store.get(keyHash)?.value;
+  },
+  entries: function () {
+    return [...this.store.entries()].map(([keyHash, entry]) => ({
+      keyHash,
+      ...entry,
+    }));
+  },
+  remove: function (filter) {
+    let removed = 0;
+    for (let { keyHash, ...entry } of this.entries()) {
+      if (!filter || filter(entry)) {
+        this.store.delete(keyHash);
+        removed += 1;
+      }
+    }
+    if (removed) this.persist();
+    return removed;
   },
   clear: function () {
     this.store.clear();
   },
+  load: function (file) {
+    this.file = file;
+    this.store.clear();
+    if (!fs.existsSync(file)) return;
+
+    let { records } = readCsvSync(file);
+    records.forEach(
+      ([keyHash, value, provider, contentHash, sourcePath, updatedAt]) => {
+        this.store.set(keyHash, {
+          value,
+          provider,
+          contentHash,
+          sourcePath,
+          updatedAt,
+        });
+      }
+    );
+  },
+  persist: function () {
+    if (!this.file) return;
+    writeCsvSync(this.file, cacheHeader, this.entries().map(toCacheRecord));
+  },
 };
 
 module.exports = { cache };
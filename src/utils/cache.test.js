@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { cache } = require('./cache');
 
 describe('cache tests', () => {
@@ -48,4 +51,62 @@ describe('cache tests', () => {
       expect(cache.has(key)).toBe(false);
     });
   });
+
+  it('test cache persistence', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+    const file = path.join(dir, '.pin.cache');
+    try {
+      cache.load(file);
+      cache.set('pinata:hash1', 'cid1', { provider: 'pinata' });
+      cache.set('kubo:hash1', 'cid2', { provider: 'kubo' });
+      cache.file = undefined;
+      cache.clear();
+
+      cache.load(file);
+      expect(cache.get('pinata:hash1')).toBe('cid1');
+      expect(cache.get('kubo:hash1')).toBe('cid2');
+
+      expect(cache.remove((entry) => entry.provider === 'kubo')).toBe(1);
+      cache.load(file);
+      expect(cache.has('pinata:hash1')).toBe(true);
+      expect(cache.has('kubo:hash1')).toBe(false);
+    } finally {
+      cache.file = undefined;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('test cache entries are appended', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+    const file = path.join(dir, '.pin.cache');
+    try {
+      cache.load(file);
+      cache.set('pinata:hash1', 'cid1', { provider: 'pinata' });
+      const written = fs.readFileSync(file, 'utf8');
+      cache.set('pinata:hash1', 'cid2', { provider: 'pinata' });
+      // the existing entries are not written again
+      expect(fs.readFileSync(file, 'utf8').startsWith(written)).toBe(true);
+
+      cache.load(file);
+      expect(cache.entries()).toHaveLength(1);
+      expect(cache.get('pinata:hash1')).toBe('cid2');
+    } finally {
+      cache.file = undefined;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('test file content hash', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+    const [file1, file2] = [path.join(dir, '1.png'), path.join(dir, '2.png')];
+    fs.writeFileSync(file1, 'same content');
+    fs.writeFileSync(file2, 'same content');
+    try {
+      expect(await cache.getFileHash(file1)).toBe(
+        await cache.getFileHash(file2)
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
 });
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const { importer } = require('ipfs-unixfs-importer');
+
+// the importer only needs a blockstore to persist the blocks, since we only hash the content nothing is stored.
+const hashOnlyBlockstore = {
+  put: async (cid) => cid,
+  get: async () => undefined,
+  has: async () => false,
+};
+
+// if a blockstore is passed, the blocks of the content are also stored in the blockstore.
+const computeCid = async (content, cidVersion = 0, blockstore) => {
+  const options = {
+    cidVersion,
+    rawLeaves: cidVersion === 1,
+    onlyHash: !blockstore,
+  };
+  let cid;
+  for await (const entry of importer(
+    [{ content }],
+    blockstore ?? hashOnlyBlockstore,
+    options
+  )) {
+    cid = entry.cid;
+  }
+  return cid?.toString();
+};
+
+const computeFileCid = (filePath, cidVersion = 0, blockstore) => {
+  return computeCid(fs.createReadStream(filePath), cidVersion, blockstore);
+};
+
+module.exports = { computeCid, computeFileCid };
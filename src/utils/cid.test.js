@@ -0,0 +1,29 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { computeCid, computeFileCid } = require('./cid');
+
+describe('cid utility tests', () => {
+  it('test cid of content', async () => {
+    const content = Buffer.from('hello world\n');
+    expect(await computeCid(content)).toBe(
+      'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o'
+    );
+    expect(await computeCid(content, 1)).toBe(
+      'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4'
+    );
+  });
+
+  it('test cid of file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cid-test-'));
+    const file = path.join(dir, 'hello.txt');
+    fs.writeFileSync(file, 'hello world\n');
+    try {
+      expect(await computeFileCid(file)).toBe(
+        'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o'
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { WorkflowError } = require('../Errors');
+
+const prefix = 'enc:';
+const algorithm = 'aes-256-gcm';
+const saltLength = 16;
+const ivLength = 12;
+const tagLength = 16;
+
+// deriving a key by scrypt is slow, the keys are cached by their salt and reused for all the values of a run
+const keys = new Map();
+let encryptionSalt;
+
+const deriveKey = (passphrase, salt) => {
+  const cacheKey = `${salt.toString('hex')}:${passphrase}`;
+  if (!keys.has(cacheKey)) {
+    keys.set(cacheKey, crypto.scryptSync(passphrase, salt, 32));
+  }
+  return keys.get(cacheKey);
+};
+
+const isEncrypted = (value) =>
+  typeof value === 'string' && value.startsWith(prefix);
+
+// encrypts a value with an authenticated cipher, the output is prefixed so it can be told apart from plain values
+const encrypt = (value, passphrase) => {
+  if (!passphrase) {
+    throw new WorkflowError('A passphrase is required to encrypt the secrets.');
+  }
+  if (!value || isEncrypted(value)) return value;
+
+  encryptionSalt = encryptionSalt || crypto.randomBytes(saltLength);
+  const iv = crypto.randomBytes(ivLength);
+  const cipher = crypto.createCipheriv(
+    algorithm,
+    deriveKey(passphrase, encryptionSalt),
+    iv
+  );
+  const encrypted = Buffer.concat([
+    cipher.update(String(value), 'utf8'),
+    cipher.final(),
+  ]);
+  return (
+    prefix +
+    Buffer.concat([
+      encryptionSalt,
+      iv,
+      cipher.getAuthTag(),
+      encrypted,
+    ]).toString('base64')
+  );
+};
+
+const decrypt = (value, passphrase) => {
+  if (!isEncrypted(value)) return value;
+  if (!passphrase) {
+    throw new WorkflowError('A passphrase is required to decrypt the secrets.');
+  }
+
+  const data = Buffer.from(value.slice(prefix.length), 'base64');
+  const salt = data.subarray(0, saltLength);
+  const iv = data.subarray(saltLength, saltLength + ivLength);
+  const tag = data.subarray(
+    saltLength + ivLength,
+    saltLength + ivLength + tagLength
+  );
+  const encrypted = data.subarray(saltLength + ivLength + tagLength);
+  try {
+    const decipher = crypto.createDecipheriv(
+      algorithm,
+      deriveKey(passphrase, salt),
+      iv
+    );
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    throw new WorkflowError(
+      'Unable to decrypt the secrets, the passphrase is not correct or the data is corrupted.'
+    );
+  }
+};
+
+module.exports = { isEncrypted, encrypt, decrypt };
@@ -0,0 +1,31 @@
+const { isEncrypted, encrypt, decrypt } = require('./crypto');
+
+describe('crypto tests', () => {
+  const passphrase = 'correct horse battery staple';
+
+  it('test encrypt and decrypt', () => {
+    const secret = '0x09c61e2d7b0359723995';
+    const encrypted = encrypt(secret, passphrase);
+    expect(isEncrypted(encrypted)).toBe(true);
+    expect(encrypted).not.toContain(secret);
+    expect(encrypt(secret, passphrase)).not.toEqual(encrypted);
+    expect(decrypt(encrypted, passphrase)).toEqual(secret);
+  });
+
+  it('test plain and empty values', () => {
+    expect(encrypt('', passphrase)).toEqual('');
+    expect(decrypt('0x09c61e2d7b0359723995', passphrase)).toEqual(
+      '0x09c61e2d7b0359723995'
+    );
+    const encrypted = encrypt('secret', passphrase);
+    expect(encrypt(encrypted, passphrase)).toEqual(encrypted);
+  });
+
+  it('test wrong passphrase', () => {
+    const encrypted = encrypt('secret', passphrase);
+    expect(() => decrypt(encrypted, 'wrong passphrase')).toThrow(
+      'the passphrase is not correct'
+    );
+    expect(() => decrypt(encrypted)).toThrow('A passphrase is required');
+  });
+});
@@ -40,6 +40,16 @@ const writeCsvSync = (file, headers, records) => {
   fs.writeFileSync(file, csvRecords);
 };
 
+// appends the records to the csv file, the file is written with the headers if it does not exist
+const appendCsvSync = (file, headers, records) => {
+  if (!fs.existsSync(file)) {
+    writeCsvSync(file, headers, records);
+    return;
+  }
+  records = records.map((record) => normalizeCsvFields(record));
+  fs.appendFileSync(file, records.map((record) => `\n${record}`).join(''));
+};
+
 const getColumnIndex = (header, columnTitles) => {
   let indexes = [];
   columnTitles.forEach((col) => {
@@ -54,16 +64,51 @@ const getColumnIndex = (header, columnTitles) => {
   return indexes;
 };
 
-const fillTemplateFromData = (template, header, data) => {
+// the values take precedence over the data columns with the same title
+const fillTemplateFromData = (template, header, data, values = {}) => {
   const pattern = /<<[^<>]+>>/g; // {property}
   return template.replace(pattern, (token) => {
     let columnTitle = token.replace(/[<>]+/g, '');
+    if (Object.prototype.hasOwnProperty.call(values, columnTitle)) {
+      return values[columnTitle] ?? '';
+    }
     let [idx] = getColumnIndex(header, [columnTitle]);
     let result = idx != null ? data[idx] : '';
     return result;
   });
 };
 
+// a plain column title is the same as a <<column>> template
+const toColumnTemplate = (columnOrTemplate) => {
+  return columnOrTemplate.includes('<<')
+    ? columnOrTemplate
+    : `<<${columnOrTemplate}>>`;
+};
+
+const getTemplateColumns = (template) => {
+  return [...template.matchAll(/<<([^<>]+)>>/g)].map(([, column]) => column);
+};
+
+// fills the templates in all the string values of a json object, recursing into nested objects and arrays
+const fillJsonTemplateFromData = (template, header, data, values = {}) => {
+  if (typeof template === 'string') {
+    return fillTemplateFromData(template, header, data, values);
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) =>
+      fillJsonTemplateFromData(item, header, data, values)
+    );
+  }
+  if (template && typeof template === 'object') {
+    let result = {};
+    for (let [key, value] of Object.entries(template)) {
+      result[key] = fillJsonTemplateFromData(value, header, data, values);
+    }
+    return result;
+  }
+  return template;
+};
+
 const getColumns = (columnTitles, header, records) => {
   const columnIdxs = getColumnIndex(header, columnTitles);
   let columns = columnTitles.map((title) => ({ title, records: [] }));
@@ -78,7 +123,11 @@ const getColumns = (columnTitles, header, records) => {
 module.exports = {
   readCsvSync,
   writeCsvSync,
+  appendCsvSync,
   getColumnIndex,
   getColumns,
   fillTemplateFromData,
+  fillJsonTemplateFromData,
+  toColumnTemplate,
+  getTemplateColumns,
 };
@@ -1,4 +1,4 @@
-const { fillTemplateFromData } = require('./csv');
+const { fillTemplateFromData, fillJsonTemplateFromData } = require('./csv');
 
 describe('csv utility tests', () => {
   it('test template strings', () => {
@@ -9,4 +9,34 @@ describe('csv utility tests', () => {
     let result = fillTemplateFromData(template, header, data);
     expect(result).toBe(filledStr);
   });
+
+  it('test template strings with values', () => {
+    let template = '<<image cid>> of <<test column>>';
+    let header = ['test column', 'image cid'];
+    let data = ['fizzbuzz', 'stale'];
+    let result = fillTemplateFromData(template, header, data, {
+      'image cid': 'Qm123',
+    });
+    expect(result).toBe('Qm123 of fizzbuzz');
+  });
+
+  it('test json templates', () => {
+    let template = {
+      name: '<<test column>>',
+      image: 'ipfs://ipfs/<<image cid>>',
+      edition: 1,
+      properties: { tags: ['<<test column>>', 'static'], rare: true },
+    };
+    let header = ['test column'];
+    let data = ['fizzbuzz'];
+    let result = fillJsonTemplateFromData(template, header, data, {
+      'image cid': 'Qm123',
+    });
+    expect(result).toEqual({
+      name: 'fizzbuzz',
+      image: 'ipfs://ipfs/Qm123',
+      edition: 1,
+      properties: { tags: ['fizzbuzz', 'static'], rare: true },
+    });
+  });
 });
@@ -1,10 +1,27 @@
+const { u8aEq } = require('@polkadot/util');
+const { decodeAddress } = require('@polkadot/util-crypto');
+
 const isNumber = (val) => !isNaN(val) && !isNaN(parseInt(val));
 
 const isEmptyObject = (obj) => {
   return !obj || typeof obj !== 'object' || !Object.keys(obj).length;
 }
 
+// formats an amount in the chain units with the token decimals, e.g. 1234500000000 with 12 decimals as 1.2345
+const formatUnits = (amount, decimals = 0) => {
+  const value = amount.toString().padStart(decimals + 1, '0');
+  const integer = value.slice(0, value.length - decimals);
+  const fraction = value.slice(value.length - decimals).replace(/0+$/, '');
+  return fraction ? `${integer}.${fraction}` : integer;
+};
+
+// the addresses may be encoded with different ss58 formats, so their public keys are compared
+const isSameAccount = (address, otherAddress) =>
+  u8aEq(decodeAddress(address), decodeAddress(otherAddress));
+
 module.exports = {
   isNumber,
   isEmptyObject,
+  formatUnits,
+  isSameAccount,
 };
@@ -1,4 +1,10 @@
-const { isNumber, isEmptyObject } = require('./index');
+const { encodeAddress } = require('@polkadot/util-crypto');
+const {
+  isNumber,
+  isEmptyObject,
+  formatUnits,
+  isSameAccount,
+} = require('./index');
 
 describe('general utility tests', () => {
   it('test isNumber', () => {
@@ -29,4 +35,20 @@ describe('general utility tests', () => {
 
     expect(isNumber({ a: 1})).toBe(false);
   });
+
+  it('test formatUnits', () => {
+    expect(formatUnits('1234500000000', 12)).toEqual('1.2345');
+    expect(formatUnits('1000000000000', 12)).toEqual('1');
+    expect(formatUnits('1500', 12)).toEqual('0.0000000015');
+    expect(formatUnits(0, 12)).toEqual('0');
+    expect(formatUnits(42)).toEqual('42');
+  });
+
+  it('test isSameAccount', () => {
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+    const bob = '5FHneW46xGXgs5mUiveU4sbTyGBzmstUspZC92UhjJM694ty';
+    // the same account in the polkadot ss58 format
+    expect(isSameAccount(alice, encodeAddress(alice, 0))).toBe(true);
+    expect(isSameAccount(alice, bob)).toBe(false);
+  });
 });
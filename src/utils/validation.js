@@ -1,5 +1,6 @@
 const get = require('lodash.get');
 const fs = require('fs');
+const { decodeAddress } = require('@polkadot/util-crypto');
 const { WorkflowError } = require('../Errors');
 
 const errors = {
@@ -61,8 +62,17 @@ const validateFileAccess = (filePath, accessLevel = 'default') => {
   }
 };
 
+const validateAddress = (address, element) => {
+  try {
+    decodeAddress(address);
+  } catch {
+    throwError(`${element}: ${address} is not a valid address.`);
+  }
+};
+
 module.exports = {
   throwError,
+  validateAddress,
   validate,
   validateFileAccess,
   validateFileExists,
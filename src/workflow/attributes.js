@@ -0,0 +1,21 @@
+const { sendBatch } = require('../chain/batch');
+
+// the class attributes are set with no instanceId
+const createAttributeTxs = (network, classId, attributes) =>
+  attributes.map(({ instanceId, key, value }) =>
+    network.pallet.setAttribute(classId, instanceId, key, value)
+  );
+
+// sets the attributes: [{ instanceId, key, value }] in a batch, returns the result of each attribute
+let setAttributesInBatch = async (
+  network,
+  classId,
+  attributes,
+  dryRun,
+  batchMode
+) => {
+  const txs = createAttributeTxs(network, classId, attributes);
+  return sendBatch(network, txs, dryRun, undefined, batchMode);
+};
+
+module.exports = { createAttributeTxs, setAttributesInBatch };
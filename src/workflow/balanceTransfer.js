@@ -1,18 +1,23 @@
-const { signAndSendTx } = require('../chain/txHandler');
+const BN = require('bn.js');
+const { sendBatch } = require('../chain/batch');
 
-let transferFunds = async (network, owners, amount, dryRun) => {
-  const { api, signingPair, proxiedAddress } = network;
+// the gift accounts are new and empty before they are funded
+const isFunded = async (network, address, amount) => {
+  const { api } = network;
+  const { data } = await api.query.system.account(address);
+  return new BN(data.free.toString()).gte(new BN(amount));
+};
+
+const createTransferTxs = (network, owners, amount) =>
+  owners.map((owner) => network.api.tx.balances.transfer(owner, amount));
 
-  let txs = [];
-  for (let i = 0; i < owners.length; i++) {
-    txs.push(api.tx.balances.transfer(owners[i], amount));
-  }
+// returns the result of each transfer
+let transferFunds = async (network, owners, amount, dryRun, batchMode) => {
+  const txs = createTransferTxs(network, owners, amount);
 
-  let txBatch = api.tx.utility.batchAll(txs);
-  let call = proxiedAddress
-    ? api.tx.proxy.proxy(proxiedAddress, 'Assets', txBatch)
-    : txBatch;
-  await signAndSendTx(api, call, signingPair, true, dryRun);
+  // an atomic batch is applied if its first account is funded
+  const isApplied = () => isFunded(network, owners[0], amount);
+  return sendBatch(network, txs, dryRun, isApplied, batchMode);
 };
 
-module.exports = { transferFunds };
+module.exports = { createTransferTxs, transferFunds, isFunded };
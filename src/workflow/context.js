@@ -2,7 +2,9 @@ const fs = require('fs');
 const inquirer = require('inquirer');
 const path = require('path');
 const { connect } = require('../chain/chain');
-const { createPinataClient } = require('../pinata/pinataClient');
+const { createStorageClient } = require('../storage');
+const { cache } = require('../utils/cache');
+const { isEncrypted, encrypt, decrypt } = require('../utils/crypto');
 const {
   writeCsvSync,
   readCsvSync,
@@ -25,22 +27,66 @@ const columnTitles = {
   instanceId: 'instanceId',
   classMetadata: 'classMetadata',
   classStartInstanceId: 'classStartInstanceId',
+  classAttributes: 'classAttributes',
+  classFinalized: 'classFinalized',
   instanceMetadata: 'instanceMetadat',
   secret: 'gift account secret',
   address: 'gift account address',
+  claimUrl: 'claim url',
   imageCid: 'image cid',
   videoCid: 'video cid',
   metaCid: 'metadata cid',
+  cidsPrecomputed: 'cids precomputed',
+  cidError: 'cid error',
+  claimed: 'claimed',
+  currentOwner: 'current owner',
+  giftBalance: 'gift balance',
+  rowStatus: 'status',
+  rowError: 'error',
   lastMintBatch: 'last minted batch',
   lastMetadataBatch: 'last metadata batch',
   lastMetaCidBatch: 'last metaCid batch',
   lastBalanceTxBatch: 'last balance transfer batch',
+  lastAttributeBatch: 'last attribute batch',
+  mintBatchSize: 'mint batch size',
+  metadataBatchSize: 'metadata batch size',
+  balanceTxBatchSize: 'balance transfer batch size',
+  attributeBatchSize: 'attribute batch size',
+  multisigCallHash: 'multisig call hash',
+  multisigTimepoint: 'multisig timepoint',
 };
 
+// the environment variable that the passphrase of the encrypted gift secrets is read from
+const passphraseEnv = 'UNIQCAMP_SECRETS_PASSPHRASE';
+
 const cpfiles = {
   class: path.resolve(checkpointFolderPath, `.class.cp`),
   data: path.resolve(checkpointFolderPath, `.data.cp`),
   batch: path.resolve(checkpointFolderPath, `.batch.cp`),
+  multisig: path.resolve(checkpointFolderPath, `.multisig.cp`),
+  pinCache: path.resolve(checkpointFolderPath, `.pin.cache`),
+};
+
+// the range of the records that are used by the workflow, by instance.data.offset and instance.data.count
+const getRecordRange = (wfConfig, recordCount) => {
+  const instanceOffset = parseInt(wfConfig?.instance?.data?.offset)
+    ? parseInt(wfConfig?.instance?.data?.offset) - 1
+    : 0;
+  const instanceCount =
+    parseInt(wfConfig?.instance?.data?.count) ||
+    recordCount - instanceOffset + 1;
+  return {
+    startRecordNo: instanceOffset,
+    endRecordNo: Math.min(instanceOffset + instanceCount, recordCount),
+  };
+};
+
+// copies the datafile to the data checkpoint if the checkpoint does not already exist
+const loadDataCheckpoint = (datafile) => {
+  if (!fs.existsSync(cpfiles.data)) {
+    fs.copyFileSync(datafile, cpfiles.data);
+  }
+  return getCheckpointRecords(cpfiles.data) || {};
 };
 
 const getCheckpointRecords = (file) => {
@@ -51,12 +97,113 @@ const getCheckpointRecords = (file) => {
   }
 };
 
+// the class id in the class checkpoint of a workflow run, if any
+const getCheckpointClassId = () => {
+  const { header, records } = getCheckpointRecords(cpfiles.class);
+  const [classIdIdx] = getColumnIndex(header, [columnTitles.classId]);
+  return (classIdIdx != null && records[0]?.[classIdIdx]) || undefined;
+};
+
+const getSecretsPassphrase = async (confirm = false) => {
+  if (process.env[passphraseEnv]) return process.env[passphraseEnv];
+
+  const { passphrase, confirmation } =
+    (await inqAsk([
+      {
+        type: 'password',
+        name: 'passphrase',
+        mask: '*',
+        message: 'Enter the passphrase of the gift secrets',
+      },
+      {
+        type: 'password',
+        name: 'confirmation',
+        mask: '*',
+        message: 'Confirm the passphrase of the gift secrets',
+        when: () => confirm,
+      },
+    ])) || {};
+  if (!passphrase) {
+    throw new WorkflowError(
+      `No passphrase is provided for the gift secrets. Please enter a passphrase or set the ${passphraseEnv} environment variable.`
+    );
+  }
+  if (confirm && passphrase !== confirmation) {
+    throw new WorkflowError('The passphrases do not match.');
+  }
+  return passphrase;
+};
+
+// the columns that reveal the gift secrets, they are encrypted at rest
+const secretColumns = [columnTitles.secret, columnTitles.claimUrl];
+
+// maps the values of the secret columns of the records, the other columns are kept as they are
+const mapSecrets = (header, records, mapper) => {
+  const secretIdxs = getColumnIndex(header, secretColumns).filter(
+    (idx) => idx != null
+  );
+  if (!secretIdxs.length) return records;
+  return records.map((record) => {
+    let mapped = [...record];
+    for (let idx of secretIdxs) {
+      if (record[idx]) mapped[idx] = mapper(record[idx]);
+    }
+    return mapped;
+  });
+};
+
+const hasEncryptedSecrets = (header, records) => {
+  const secretIdxs = getColumnIndex(header, secretColumns).filter(
+    (idx) => idx != null
+  );
+  return records.some((record) =>
+    secretIdxs.some((idx) => isEncrypted(record[idx]))
+  );
+};
+
+const decryptSecrets = (header, records, passphrase) => {
+  if (!passphrase && hasEncryptedSecrets(header, records)) {
+    throw new WorkflowError(
+      'The gift secrets are encrypted. Please set instance.secrets.encrypt in the workflow to decrypt them.'
+    );
+  }
+  return mapSecrets(header, records, (secret) => decrypt(secret, passphrase));
+};
+
+const encryptSecrets = (header, records, passphrase) => {
+  if (!passphrase) return records;
+  return mapSecrets(header, records, (secret) => encrypt(secret, passphrase));
+};
+
+const hasEncryptedData = (datafile) => {
+  const file = fs.existsSync(cpfiles.data) ? cpfiles.data : datafile;
+  if (!file || !fs.existsSync(file)) return false;
+  const { header, records } = readCsvSync(file);
+  return hasEncryptedSecrets(header, records);
+};
+
+// reads a datafile of the workflow, the encrypted gift secrets are decrypted by the passphrase
+const readDataFile = async (file) => {
+  const { header, records } = readCsvSync(file);
+  const passphrase = hasEncryptedSecrets(header, records)
+    ? await getSecretsPassphrase()
+    : undefined;
+  return { header, records: decryptSecrets(header, records, passphrase) };
+};
+
 const removeCheckpoints = () => {
   try {
     if (fs.existsSync(cpfiles.batch)) fs.unlinkSync(cpfiles.batch);
     if (fs.existsSync(cpfiles.data)) fs.unlinkSync(cpfiles.data);
     if (fs.existsSync(cpfiles.class)) fs.unlinkSync(cpfiles.class);
-    if (fs.existsSync(checkpointFolderPath)) fs.rmdirSync(checkpointFolderPath);
+    if (fs.existsSync(cpfiles.multisig)) fs.unlinkSync(cpfiles.multisig);
+    // the pin cache is kept across runs, only remove the folder if nothing is left in it
+    if (
+      fs.existsSync(checkpointFolderPath) &&
+      !fs.readdirSync(checkpointFolderPath).length
+    ) {
+      fs.rmdirSync(checkpointFolderPath);
+    }
   } catch (err) {
     console.error(err);
   }
@@ -64,9 +211,20 @@ const removeCheckpoints = () => {
 
 const context = {
   isLoaded: false,
-  load: async function (wfConfig) {
+  load: async function (wfConfig, { offline = false } = {}) {
+    // the dry-run mode is enabled once the context is loaded, the offline commands never send any calls
+    this.dryRun = offline;
+    // the offline commands only compute the cids of the datafile, they neither connect to the chain nor use the
+    // checkpoints, and the cids are written back to the datafile itself.
+    if (offline) {
+      this.network = undefined;
+      this.storageClient = createStorageClient(wfConfig?.storage, true);
+      this.data.load(wfConfig, { offline });
+      this.isLoaded = true;
+      return;
+    }
     this.network = await connect(wfConfig?.network);
-    this.pinataClient = createPinataClient(wfConfig?.pinata);
+    this.storageClient = createStorageClient(wfConfig?.storage);
 
     // Create checkpoint path if it does not exist
     if (!fs.existsSync(checkpointFolderPath)) {
@@ -79,9 +237,22 @@ const context = {
       }
     }
 
+    // the passphrase is confirmed when the secrets are encrypted for the first time, i.e. no secret of the data
+    // checkpoint, or of the datafile if there is no checkpoint yet, is encrypted.
+    this.passphrase = wfConfig?.instance?.secrets?.encrypt
+      ? await getSecretsPassphrase(
+          !hasEncryptedData(wfConfig?.instance?.data?.csvFile)
+        )
+      : undefined;
+
+    loadPinCache();
     this.class.load(wfConfig);
     this.batch.load(wfConfig);
     this.data.load(wfConfig);
+    this.multisig.load();
+    // the calls that are approved by the signer are recorded, so they are resumed on the next run
+    if (this.network.multisig)
+      this.network.multisig.pendingCalls = this.multisig;
 
     this.isLoaded = true;
   },
@@ -90,22 +261,32 @@ const context = {
   },
   network: undefined,
   dryRun: false,
-  pinataClient: undefined,
+  // the plan of the unsigned mode, the calls are written to it instead of being sent
+  plan: undefined,
+  storageClient: undefined,
+  passphrase: undefined,
   class: {
     id: undefined,
     startInstanceId: undefined,
     metaCid: undefined,
+    attributesSet: false,
+    finalized: false,
     load: function (wfConfig) {
       let { header, records } = getCheckpointRecords(cpfiles.class) || {};
       if (header) {
-        let [classIdIdx, classMetaIdx, startInstanceIdx] = getColumnIndex(
-          header,
-          [
-            columnTitles.classId,
-            columnTitles.classMetadata,
-            columnTitles.classStartInstanceId,
-          ]
-        );
+        let [
+          classIdIdx,
+          classMetaIdx,
+          startInstanceIdx,
+          classAttributesIdx,
+          classFinalizedIdx,
+        ] = getColumnIndex(header, [
+          columnTitles.classId,
+          columnTitles.classMetadata,
+          columnTitles.classStartInstanceId,
+          columnTitles.classAttributes,
+          columnTitles.classFinalized,
+        ]);
         if (records[0]?.[classIdIdx]) {
           this.id = records[0][classIdIdx];
         }
@@ -115,17 +296,45 @@ const context = {
         if (records[0]?.[startInstanceIdx]) {
           this.startInstanceId = records[0][startInstanceIdx];
         }
+        if (records[0]?.[classAttributesIdx]) {
+          this.attributesSet = records[0][classAttributesIdx] === 'true';
+        }
+        if (records[0]?.[classFinalizedIdx]) {
+          this.finalized = records[0][classFinalizedIdx] === 'true';
+        }
       }
     },
     checkpoint: function () {
+      const { id, metaCid, startInstanceId, attributesSet, finalized } = this;
+      if (
+        context.plan?.deferCheckpoint('class', {
+          id,
+          metaCid,
+          startInstanceId,
+          attributesSet,
+          finalized,
+        })
+      ) {
+        return;
+      }
       writeCsvSync(
         cpfiles.class,
         [
           columnTitles.classId,
           columnTitles.classMetadata,
           columnTitles.classStartInstanceId,
+          columnTitles.classAttributes,
+          columnTitles.classFinalized,
         ],
-        [[this.id, this.metaCid, this.startInstanceId]]
+        [
+          [
+            this.id,
+            this.metaCid,
+            this.startInstanceId,
+            this.attributesSet,
+            this.finalized,
+          ],
+        ]
       );
     },
   },
@@ -168,7 +377,7 @@ const context = {
         this.records[r].push('');
       }
     },
-    load: function (wfConfig) {
+    load: function (wfConfig, { offline = false } = {}) {
       let datafile = wfConfig?.instance?.data?.csvFile;
       if (!datafile) {
         throw new WorkflowError(
@@ -180,34 +389,47 @@ const context = {
           `The configured datafile does not exists. Please check if path: ${datafile} exists`
         );
       }
-      // copy file to checkpoint path if checkpoint does not already exist
-      if (!fs.existsSync(cpfiles.data)) {
-        fs.copyFileSync(datafile, cpfiles.data);
-      }
-
-      let { header, records } = getCheckpointRecords(cpfiles.data) || {};
+      let { header, records } = offline
+        ? readCsvSync(datafile)
+        : loadDataCheckpoint(datafile);
       this.header = header;
-      this.records = records;
+      // the gift secrets are not used offline, they are written back as they are
+      this.records = offline
+        ? records
+        : decryptSecrets(header, records, context.passphrase);
 
       // set start and end row numbers
-      const instanceOffset = parseInt(wfConfig?.instance?.data?.offset)
-        ? parseInt(wfConfig?.instance?.data?.offset) - 1
-        : 0;
-      const instanceCount =
-        parseInt(wfConfig?.instance?.data?.count) ||
-        records.length - instanceOffset + 1;
-      this.startRecordNo = instanceOffset;
-      this.endRecordNo = Math.min(
-        this.startRecordNo + instanceCount,
+      const { startRecordNo, endRecordNo } = getRecordRange(
+        wfConfig,
         records.length
       );
+      this.startRecordNo = startRecordNo;
+      this.endRecordNo = endRecordNo;
+    },
+    // the gift secrets are encrypted whenever the records are written to disk
+    write: function (file) {
+      writeCsvSync(
+        file,
+        this.header,
+        encryptSecrets(this.header, this.records, context.passphrase)
+      );
     },
     checkpoint: function () {
-      writeCsvSync(cpfiles.data, this.header, this.records);
+      this.write(cpfiles.data);
     },
     writeFinalResult: function (outFilename) {
-      // copy the final datafile to the outputFile
-      fs.copyFileSync(cpfiles.data, outFilename);
+      // copy the final datafile to the outputFile, the class id is recorded with the rows, so the commands that
+      // read the final datafile find the class of its instances when the class.id is not configured.
+      const { header, records } = readCsvSync(cpfiles.data);
+      let [classIdIdx] = getColumnIndex(header, [columnTitles.classId]);
+      if (classIdIdx == null) {
+        classIdIdx = header.length;
+        header.push(columnTitles.classId);
+      }
+      records.forEach((record) => {
+        record[classIdIdx] = context.class.id ?? record[classIdIdx] ?? '';
+      });
+      writeCsvSync(outFilename, header, records);
     },
   },
   batch: {
@@ -215,6 +437,12 @@ const context = {
     lastMetaCidBatch: 0,
     lastMetadataBatch: 0,
     lastBalanceTxBatch: 0,
+    lastAttributeBatch: 0,
+    // the batch sizes that the steps are run with, so a resumed step splits the rows into the same batches
+    mintBatchSize: 0,
+    metadataBatchSize: 0,
+    balanceTxBatchSize: 0,
+    attributeBatchSize: 0,
     load: function (wfConfig) {
       let { header, records } = getCheckpointRecords(cpfiles.batch) || {};
       if (header) {
@@ -223,11 +451,21 @@ const context = {
           lastMetaBatchIdx,
           lastMetaCidBatchIdx,
           lastBalanceTxBatchIdx,
+          lastAttributeBatchIdx,
+          mintBatchSizeIdx,
+          metadataBatchSizeIdx,
+          balanceTxBatchSizeIdx,
+          attributeBatchSizeIdx,
         ] = getColumnIndex(header, [
           columnTitles.lastMintBatch,
           columnTitles.lastMetadataBatch,
           columnTitles.lastMetaCidBatch,
           columnTitles.lastBalanceTxBatch,
+          columnTitles.lastAttributeBatch,
+          columnTitles.mintBatchSize,
+          columnTitles.metadataBatchSize,
+          columnTitles.balanceTxBatchSize,
+          columnTitles.attributeBatchSize,
         ]);
         if (records[0]?.[lastMintBatchIdx]) {
           this.lastMintBatch = parseInt(records[0][lastMintBatchIdx]);
@@ -241,9 +479,28 @@ const context = {
         if (records[0]?.[lastBalanceTxBatchIdx]) {
           this.lastBalanceTxBatch = parseInt(records[0][lastBalanceTxBatchIdx]);
         }
+        if (records[0]?.[lastAttributeBatchIdx]) {
+          this.lastAttributeBatch = parseInt(records[0][lastAttributeBatchIdx]);
+        }
+        if (records[0]?.[mintBatchSizeIdx]) {
+          this.mintBatchSize = parseInt(records[0][mintBatchSizeIdx]);
+        }
+        if (records[0]?.[metadataBatchSizeIdx]) {
+          this.metadataBatchSize = parseInt(records[0][metadataBatchSizeIdx]);
+        }
+        if (records[0]?.[balanceTxBatchSizeIdx]) {
+          this.balanceTxBatchSize = parseInt(records[0][balanceTxBatchSizeIdx]);
+        }
+        if (records[0]?.[attributeBatchSizeIdx]) {
+          this.attributeBatchSize = parseInt(records[0][attributeBatchSizeIdx]);
+        }
       }
     },
     checkpoint: function () {
+      const state = Object.fromEntries(
+        Object.entries(this).filter(([, value]) => typeof value !== 'function')
+      );
+      if (context.plan?.deferCheckpoint('batch', state)) return;
       writeCsvSync(
         cpfiles.batch,
         [
@@ -251,6 +508,11 @@ const context = {
           columnTitles.lastMetadataBatch,
           columnTitles.lastMetaCidBatch,
           columnTitles.lastBalanceTxBatch,
+          columnTitles.lastAttributeBatch,
+          columnTitles.mintBatchSize,
+          columnTitles.metadataBatchSize,
+          columnTitles.balanceTxBatchSize,
+          columnTitles.attributeBatchSize,
         ],
         [
           [
@@ -258,15 +520,64 @@ const context = {
             this.lastMetadataBatch,
             this.lastMetaCidBatch,
             this.lastBalanceTxBatch,
+            this.lastAttributeBatch,
+            this.mintBatchSize,
+            this.metadataBatchSize,
+            this.balanceTxBatchSize,
+            this.attributeBatchSize,
           ],
         ]
       );
     },
   },
+  // the multisig calls that are waiting for the approvals of the other signatories, by their call hash
+  multisig: {
+    calls: {},
+    get: function (callHash) {
+      return this.calls[callHash];
+    },
+    set: function (callHash, timepoint) {
+      this.calls[callHash] = timepoint;
+      this.checkpoint();
+    },
+    delete: function (callHash) {
+      delete this.calls[callHash];
+      this.checkpoint();
+    },
+    load: function () {
+      let { header, records } = getCheckpointRecords(cpfiles.multisig) || {};
+      this.calls = {};
+      if (header) {
+        let [callHashIdx, timepointIdx] = getColumnIndex(header, [
+          columnTitles.multisigCallHash,
+          columnTitles.multisigTimepoint,
+        ]);
+        for (let record of records) {
+          const [height, index] = record[timepointIdx].split('-').map(Number);
+          this.calls[record[callHashIdx]] = { height, index };
+        }
+      }
+    },
+    checkpoint: function () {
+      writeCsvSync(
+        cpfiles.multisig,
+        [columnTitles.multisigCallHash, columnTitles.multisigTimepoint],
+        Object.entries(this.calls).map(([callHash, { height, index }]) => [
+          callHash,
+          `${height}-${index}`,
+        ])
+      );
+    },
+  },
+};
+
+const loadPinCache = () => {
+  cache.load(cpfiles.pinCache);
+  return cache;
 };
 
-const loadContext = async (wfConfig) => {
-  await context.load(wfConfig);
+const loadContext = async (wfConfig, options) => {
+  await context.load(wfConfig, options);
   return context;
 };
 
@@ -277,12 +588,17 @@ const getContext = () => {
   return context;
 };
 
-const checkPreviousCheckpoints = async () => {
-  const checkpointExists =
+const hasCheckpoints = () => {
+  return (
     fs.existsSync(cpfiles.class) ||
     fs.existsSync(cpfiles.batch) ||
-    fs.existsSync(cpfiles.data);
-  if (!checkpointExists) return;
+    fs.existsSync(cpfiles.data) ||
+    fs.existsSync(cpfiles.multisig)
+  );
+};
+
+const checkPreviousCheckpoints = async () => {
+  if (!hasCheckpoints()) return;
 
   const answer = (await inqAsk([
     {
@@ -300,7 +616,13 @@ const checkPreviousCheckpoints = async () => {
 
 module.exports = {
   columnTitles,
+  hasCheckpoints,
   checkPreviousCheckpoints,
   loadContext,
   getContext,
+  loadPinCache,
+  getSecretsPassphrase,
+  getCheckpointClassId,
+  readDataFile,
+  getRecordRange,
 };
@@ -1,13 +1,81 @@
-const { randomAsHex } = require('@polkadot/util-crypto');
+const { u8aToHex } = require('@polkadot/util');
+const {
+  randomAsHex,
+  mnemonicGenerate,
+  mnemonicToMiniSecret,
+  ed25519DeriveHard,
+  keyExtractPath,
+} = require('@polkadot/util-crypto');
+const { entropyToMnemonic } = require('@polkadot/util-crypto/mnemonic/bip39');
 const { WorkflowError } = require('../Errors');
 
-const generateSecret = async (keyring) => {
+const secretFormats = ['hex', 'mnemonic'];
+const keyTypes = ['sr25519', 'ed25519', 'ecdsa'];
+const mnemonicWords = [12, 15, 18, 21, 24];
+
+// the defaults generate the same secrets as the campaigns before instance.secrets was configurable
+const defaultSecretsConfig = {
+  format: 'hex',
+  length: 10,
+  words: 12,
+  derivationPath: '',
+  keyType: 'sr25519',
+};
+
+const getSecretsConfig = (secretsConfig) => ({
+  ...defaultSecretsConfig,
+  ...secretsConfig,
+});
+
+// rebuilds the keypair of a gift secret, the same secrets config that generated the secret must be used.
+const getSecretKeyPair = (keyring, secret, secretsConfig) => {
   if (!keyring) {
     throw new WorkflowError('keyring is required.');
   }
-  const secret = randomAsHex(10);
-  const address = keyring.createFromUri(secret).address;
+  const { derivationPath, keyType } = getSecretsConfig(secretsConfig);
+  return keyring.createFromUri(`${secret}${derivationPath}`, {}, keyType);
+};
+
+// derives the seed of a gift secret from the master seed by the hard derivation path //<key>
+const deriveSecret = (masterSeed, key, secretsConfig) => {
+  const { format, length, words } = getSecretsConfig(secretsConfig);
+  const { path } = keyExtractPath(`//${key}`);
+  const seed = path.reduce(
+    (seed, { chainCode }) => ed25519DeriveHard(seed, chainCode),
+    mnemonicToMiniSecret(masterSeed)
+  );
+  // a mnemonic of n words is encoded from n * 4 / 3 bytes of entropy
+  return format === 'mnemonic'
+    ? entropyToMnemonic(seed.slice(0, (words * 4) / 3))
+    : u8aToHex(seed.slice(0, length));
+};
+
+// generates a random gift secret, or derives it from the master seed when instance.secrets.masterSeed is configured
+const generateSecret = async (keyring, secretsConfig, key) => {
+  if (!keyring) {
+    throw new WorkflowError('keyring is required.');
+  }
+  const { format, length, words, masterSeed } = getSecretsConfig(secretsConfig);
+  let secret;
+  if (masterSeed) {
+    if (key == null || key === '') {
+      throw new WorkflowError(
+        'a derivation key is required to derive the secret from the master seed.'
+      );
+    }
+    secret = deriveSecret(masterSeed, key, secretsConfig);
+  } else {
+    secret =
+      format === 'mnemonic' ? mnemonicGenerate(words) : randomAsHex(length);
+  }
+  const address = getSecretKeyPair(keyring, secret, secretsConfig).address;
   return { secret, address };
 };
 
-module.exports = { generateSecret };
+module.exports = {
+  secretFormats,
+  keyTypes,
+  mnemonicWords,
+  generateSecret,
+  getSecretKeyPair,
+};
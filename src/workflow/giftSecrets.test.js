@@ -0,0 +1,63 @@
+const { Keyring } = require('@polkadot/keyring');
+const { cryptoWaitReady, mnemonicValidate } = require('@polkadot/util-crypto');
+const { generateSecret, getSecretKeyPair } = require('./giftSecrets');
+
+describe('gift secrets tests', () => {
+  let keyring;
+
+  beforeAll(async () => {
+    await cryptoWaitReady();
+    keyring = new Keyring({ type: 'sr25519' });
+  });
+
+  it('test default hex secrets', async () => {
+    const { secret, address } = await generateSecret(keyring);
+    expect(secret).toMatch(/^0x[0-9a-f]{20}$/);
+    expect(address).toEqual(keyring.createFromUri(secret).address);
+  });
+
+  it('test mnemonic secrets with a derivation path and key type', async () => {
+    const secretsConfig = {
+      format: 'mnemonic',
+      words: 24,
+      derivationPath: '//gift',
+      keyType: 'ed25519',
+    };
+    const { secret, address } = await generateSecret(keyring, secretsConfig);
+    expect(secret.split(' ').length).toEqual(24);
+    expect(mnemonicValidate(secret)).toBe(true);
+
+    const keyPair = getSecretKeyPair(keyring, secret, secretsConfig);
+    expect(keyPair.type).toEqual('ed25519');
+    expect(keyPair.address).toEqual(address);
+    expect(address).not.toEqual(keyring.createFromUri(secret).address);
+  });
+
+  it('test secrets derived from a master seed', async () => {
+    const masterSeed =
+      'bottom drive obey lake curtain smoke basket hold race lonely fit walk';
+    const first = await generateSecret(keyring, { masterSeed }, 2);
+    const again = await generateSecret(keyring, { masterSeed }, 2);
+    const second = await generateSecret(keyring, { masterSeed }, 3);
+    expect(first).toEqual(again);
+    expect(first.secret).toMatch(/^0x[0-9a-f]{20}$/);
+    expect(second.address).not.toEqual(first.address);
+
+    const { secret } = await generateSecret(
+      keyring,
+      { masterSeed, format: 'mnemonic', words: 24 },
+      'alice@example.com'
+    );
+    expect(mnemonicValidate(secret)).toBe(true);
+    expect(secret.split(' ').length).toEqual(24);
+
+    await expect(generateSecret(keyring, { masterSeed })).rejects.toThrow(
+      'a derivation key is required'
+    );
+  });
+
+  it('test hex secrets with a configured length', async () => {
+    const { secret } = await generateSecret(keyring, { length: 32 });
+    expect(secret).toMatch(/^0x[0-9a-f]{64}$/);
+  });
+});
@@ -1,15 +1,70 @@
 const fs = require('fs');
 const path = require('path');
-const { signAndSendTx } = require('../chain/txHandler');
+const { createProxyCall, sendCall, sendBatch } = require('../chain/batch');
 const { WorkflowError } = require('../Errors');
+const {
+  fillTemplateFromData,
+  fillJsonTemplateFromData,
+  toColumnTemplate,
+} = require('../utils/csv');
+const { isNumber } = require('../utils');
+const { columnTitles } = require('./context');
+
+// returns a function that renders the metadata template of a row once the media files are pinned.
+// the <<image cid>> and <<video cid>> tokens are filled by the cids of the pinned files, the <<instanceId>> token is
+// filled from the instanceId column, so it is only rendered once the instances are minted.
+const renderMetadataTemplate =
+  (template, header = [], record = []) =>
+  ({ imageCid, videoCid }) =>
+    fillJsonTemplateFromData(template, header, record, {
+      [columnTitles.imageCid]: imageCid,
+      [columnTitles.videoCid]: videoCid,
+    });
+
+// builds the OpenSea/RMRK style attributes of a row from the configured traits.
+// a trait is either a column title/<<column>> template, or { value, displayType, numeric }
+const generateAttributes = (attributesConfig, header, record) => {
+  let attributes = [];
+  for (let [traitType, traitConfig] of Object.entries(attributesConfig || {})) {
+    if (typeof traitConfig === 'string') {
+      traitConfig = { value: traitConfig };
+    }
+    const { value: valueTemplate, displayType, numeric } = traitConfig;
+    let value = fillTemplateFromData(
+      toColumnTemplate(valueTemplate),
+      header,
+      record
+    );
+
+    // skip the traits with no value for this row
+    if (value === '' || value == null) continue;
+
+    if (numeric) {
+      if (!isNumber(value)) {
+        throw new WorkflowError(
+          `the value: ${value} of the attribute ${traitType} is not a number`
+        );
+      }
+      value = Number(value);
+    }
+    attributes.push({
+      trait_type: traitType,
+      value,
+      display_type: displayType,
+    });
+  }
+  return attributes;
+};
 
 const generateMetadata = async (
-  pinataClient,
+  storageClient,
   name,
   description,
   imageFile,
   videoFile,
-  metaPath
+  metaPath,
+  attributes,
+  renderTemplate
 ) => {
   let metaName;
   // resolve metaPath
@@ -63,7 +118,7 @@ const generateMetadata = async (
 
   if (imageFile) {
     const { name: fname } = path.parse(imagePath);
-    imageCid = await pinataClient.pinFile(imagePath, `${fname}.image`, true);
+    imageCid = await storageClient.pinFile(imagePath, `${fname}.image`, true);
     if (!imageCid) {
       throw new WorkflowError(`failed to pin image.`);
     }
@@ -71,19 +126,24 @@ const generateMetadata = async (
 
   if (videoFile) {
     const { name: fname } = path.parse(videoPath);
-    videoCid = await pinataClient.pinFile(videoPath, `${fname}.video`, true);
+    videoCid = await storageClient.pinFile(videoPath, `${fname}.video`, true);
     if (!videoCid) {
       throw new WorkflowError(`failed to pin video.`);
     }
   }
 
-  // create metadata
-  let metadata = {
-    name: name,
-    image: imageCid ? `ipfs://ipfs/${imageCid}` : undefined,
-    animation_url: videoCid ? `ipfs://ipfs/${videoCid}` : undefined,
-    description,
-  };
+  // create metadata, either from the configured template or the default fields
+  let metadata = renderTemplate
+    ? renderTemplate({ imageCid, videoCid })
+    : {
+        name: name,
+        image: imageCid ? `ipfs://ipfs/${imageCid}` : undefined,
+        animation_url: videoCid ? `ipfs://ipfs/${videoCid}` : undefined,
+        description,
+      };
+  if (attributes?.length && metadata.attributes === undefined) {
+    metadata.attributes = attributes;
+  }
 
   let metadataStr = JSON.stringify(metadata, null, 2);
 
@@ -96,7 +156,7 @@ const generateMetadata = async (
   let metaCid;
 
   // Do NOT use cache for metadata, metadata per instance is unique.
-  metaCid = await pinataClient.pinFile(metaPath, `${metaName}`);
+  metaCid = await storageClient.pinFile(metaPath, `${metaName}`);
 
   if (!metaCid) {
     throw new WorkflowError(`failed to pin metadata`);
@@ -105,67 +165,87 @@ const generateMetadata = async (
   return { metaCid, imageCid, videoCid };
 };
 
+// reads the metadata cid that is set on chain for the instance
+const getInstanceMetaCid = async (connection, classId, instanceId) => {
+  const { pallet } = await connection;
+  const metadata = (
+    await pallet.queryInstanceMetadata(classId, instanceId)
+  )?.unwrapOr(undefined);
+  return metadata?.data?.toUtf8();
+};
+
+const createMetadataTxs = (network, classId, instanceMetaCids, isFrozen) =>
+  instanceMetaCids.map(({ instanceId, metaCid }) =>
+    network.pallet.setMetadata(classId, instanceId, metaCid, isFrozen)
+  );
+
 let setMetadataInBatch = async (
   connection,
   classId,
   instanceMetaCids,
-  dryRun
+  dryRun,
+  isFrozen = false,
+  batchMode
 ) => {
-  const { api, signingPair, proxiedAddress } = await connection;
-
-  let txs = [];
-  for (let i = 0; i < instanceMetaCids.length; i++) {
-    let { instanceId, metaCid } = instanceMetaCids[i];
-    txs.push(api.tx.uniques.setMetadata(classId, instanceId, metaCid, false));
-  }
-
-  let txBatch = api.tx.utility.batchAll(txs);
-  let call = proxiedAddress
-    ? api.tx.proxy.proxy(proxiedAddress, 'Assets', txBatch)
-    : txBatch;
-  await signAndSendTx(api, call, signingPair, true, dryRun);
+  const network = await connection;
+  const txs = createMetadataTxs(network, classId, instanceMetaCids, isFrozen);
+
+  // an atomic batch is applied if the metadata of its first instance is set
+  const isApplied = async () => {
+    const { instanceId, metaCid } = instanceMetaCids[0];
+    return (
+      (await getInstanceMetaCid(connection, classId, instanceId)) === metaCid
+    );
+  };
+  return sendBatch(network, txs, dryRun, isApplied, batchMode);
 };
 
 let setCollectionMetadata = async (
   connection,
   classId,
   metadataCid,
-  dryRun
+  dryRun,
+  isFrozen = false
 ) => {
-  const { api, signingPair, proxiedAddress } = connection;
-  let tx = api.tx.uniques.setCollectionMetadata(classId, metadataCid, false);
+  const { pallet } = connection;
+  let tx = pallet.setCollectionMetadata(classId, metadataCid, isFrozen);
 
-  let txCall = proxiedAddress
-    ? api.tx.proxy.proxy(proxiedAddress, 'Assets', tx)
-    : tx;
   console.log(`sending tx with hash ${tx.toHex()}`);
-  await signAndSendTx(api, txCall, signingPair, true, dryRun);
+  await sendCall(connection, createProxyCall(connection, tx), dryRun);
 };
 
 const generateAndSetCollectionMetadata = async (
   connection,
-  pinataClient,
+  storageClient,
   classId,
   metadata,
-  outputFile
+  outputFile,
+  dryRun,
+  isFrozen = false
 ) => {
-  let { name, description, imageFile, videoFile } = metadata;
+  let { name, description, imageFile, videoFile, metadataTemplate } = metadata;
   const { metaCid } = await generateMetadata(
-    pinataClient,
+    storageClient,
     name,
     description,
     imageFile,
     videoFile,
-    outputFile
+    outputFile,
+    undefined,
+    metadataTemplate && renderMetadataTemplate(metadataTemplate)
   );
 
-  await setCollectionMetadata(connection, classId, metaCid);
+  await setCollectionMetadata(connection, classId, metaCid, dryRun, isFrozen);
 
   return metaCid;
 };
 
 module.exports = {
   generateAndSetCollectionMetadata,
+  createMetadataTxs,
   setMetadataInBatch,
+  getInstanceMetaCid,
   generateMetadata,
+  generateAttributes,
+  renderMetadataTemplate,
 };
@@ -0,0 +1,42 @@
+const { generateAttributes } = require('./metadata');
+
+describe('metadata tests', () => {
+  const header = ['name', 'level', 'background'];
+  const record = ['fizz', '7', 'blue'];
+
+  it('test attributes from columns and templates', () => {
+    const attributes = generateAttributes(
+      {
+        Background: 'background',
+        Title: 'Sir <<name>>',
+        Level: { value: 'level', displayType: 'number', numeric: true },
+      },
+      header,
+      record
+    );
+    expect(attributes).toEqual([
+      { trait_type: 'Background', value: 'blue', display_type: undefined },
+      { trait_type: 'Title', value: 'Sir fizz', display_type: undefined },
+      { trait_type: 'Level', value: 7, display_type: 'number' },
+    ]);
+  });
+
+  it('test attributes with empty values are skipped', () => {
+    const attributes = generateAttributes(
+      { Background: 'background', Missing: 'missing' },
+      header,
+      record
+    );
+    expect(attributes.map(({ trait_type }) => trait_type)).toEqual([
+      'Background',
+    ]);
+  });
+
+  it('test non numeric attribute values', () => {
+    expect(() =>
+      generateAttributes({ Name: { value: 'name', numeric: true } }, header, [
+        'fizz',
+      ])
+    ).toThrow('is not a number');
+  });
+});
@@ -1,51 +1,54 @@
-const { signAndSendTx } = require('../chain/txHandler');
+const { createBatchCall, sendCall, sendBatch } = require('../chain/batch');
 
+const createMintTxs = (network, classId, instances) =>
+  instances.map(({ instanceId, owner }) =>
+    network.pallet.mint(classId, instanceId, owner)
+  );
+
+// mints the instances: [{ instanceId, owner }] in a batch, returns the result of each mint
 let mintClassInstances = async (
   network,
   classId,
-  startInstanceId,
-  owners,
-  dryRun
+  instances,
+  dryRun,
+  batchMode
 ) => {
-  const { api, signingPair, proxiedAddress } = network;
+  const { pallet } = network;
+  const txs = createMintTxs(network, classId, instances);
 
-  let instanceId = startInstanceId || 0;
-  let txs = [];
-  for (let i = 0; i < owners.length; i++) {
-    txs.push(api.tx.uniques.mint(classId, instanceId, owners[i]));
-    instanceId += 1;
-  }
-
-  let txBatch = api.tx.utility.batchAll(txs);
-  let call = proxiedAddress
-    ? api.tx.proxy.proxy(proxiedAddress, 'Assets', txBatch)
-    : txBatch;
-  await signAndSendTx(api, call, signingPair, true, dryRun);
+  // an atomic batch is applied if its first instance is minted
+  const isApplied = async () =>
+    !!(await pallet.queryInstanceOwner(classId, instances[0].instanceId));
+  return sendBatch(network, txs, dryRun, isApplied, batchMode);
 };
 
-let burnInstances = async (network, classId, instanceIds, dryRun) => {
-  const { api, signingPair, proxiedAddress } = network;
+// the txs that burn the instances, and clear their metadata if they have any
+const createBurnTxs = async (network, classId, instanceIds) => {
+  const { pallet } = network;
 
   let txs = [];
   for (let instanceId of instanceIds) {
-    txs.push(api.tx.uniques.burn(classId, instanceId, null));
+    txs.push(pallet.burn(classId, instanceId));
 
     const hasMetadata = (
-      await api.query.uniques.instanceMetadataOf(classId, instanceId)
+      await pallet.queryInstanceMetadata(classId, instanceId)
     ).isSome;
     // if instance has metadata, clear its metadata
     if (hasMetadata) {
-      txs.push(api.tx.uniques.clearMetadata(classId, instanceId));
+      txs.push(pallet.clearMetadata(classId, instanceId));
     }
   }
+  return txs;
+};
 
-  instanceIds?.forEach((instanceId) => {});
-
-  let txBatch = api.tx.utility.batchAll(txs);
-  let call = proxiedAddress
-    ? api.tx.proxy.proxy(proxiedAddress, 'Assets', txBatch)
-    : txBatch;
-  await signAndSendTx(api, call, signingPair, true, dryRun);
+let burnInstances = async (network, classId, instanceIds, dryRun) => {
+  const txs = await createBurnTxs(network, classId, instanceIds);
+  await sendCall(network, createBatchCall(network, txs), dryRun);
 };
 
-module.exports = { mintClassInstances, burnInstances };
+module.exports = {
+  createMintTxs,
+  mintClassInstances,
+  createBurnTxs,
+  burnInstances,
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { WorkflowError } = require('../Errors');
+
+const manifestFile = 'plan.json';
+
+const getCallName = (index) => String(index).padStart(4, '0');
+
+// the section.method of a call, with the calls that it wraps: a batch, a proxy or a multisig call
+const summarizeCall = (call) => {
+  const { section, method, args } = call;
+  const name = `${section}.${method}`;
+  if (section === 'utility' && Array.isArray(args[0])) {
+    let counts = new Map();
+    for (let inner of args[0]) {
+      const innerName = summarizeCall(inner);
+      counts.set(innerName, (counts.get(innerName) || 0) + 1);
+    }
+    return `${name}(${[...counts]
+      .map(([innerName, count]) => `${count} x ${innerName}`)
+      .join(', ')})`;
+  }
+  if (section === 'proxy' && method === 'proxy') {
+    return `${name}(${args[0]}, ${args[1]}, ${summarizeCall(args[2])})`;
+  }
+  return name;
+};
+
+const readPlan = (planDir) => {
+  const file = path.join(planDir, manifestFile);
+  if (!fs.existsSync(file)) {
+    throw new WorkflowError(`No plan is found at ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const writePlan = (planDir, plan) => {
+  fs.writeFileSync(
+    path.join(planDir, manifestFile),
+    JSON.stringify(plan, null, 2)
+  );
+};
+
+// the plan of the unsigned mode: each call is written to <index>.json in the plan directory instead of being signed and sent.
+// the class and batch checkpoints that follow a call are recorded with it, and written once the call is submitted.
+const createPlan = (planDir, info) => {
+  if (fs.existsSync(planDir) && fs.readdirSync(planDir).length) {
+    throw new WorkflowError(
+      `The plan directory ${planDir} is not empty. Please submit or remove the previous plan first.`
+    );
+  }
+  fs.mkdirSync(planDir, { recursive: true });
+
+  let plan = { ...info, calls: [] };
+  writePlan(planDir, plan);
+  return {
+    calls: plan.calls,
+    add: function (call) {
+      const index = plan.calls.length + 1;
+      const name = getCallName(index);
+      const entry = {
+        index,
+        callHash: call.method.hash.toHex(),
+        summary: summarizeCall(call.method),
+      };
+      fs.writeFileSync(
+        path.join(planDir, `${name}.json`),
+        JSON.stringify(
+          {
+            ...entry,
+            call: call.method.toHex(),
+            decoded: call.method.toHuman(),
+          },
+          null,
+          2
+        )
+      );
+      plan.calls.push({ ...entry, checkpoints: {} });
+      writePlan(planDir, plan);
+      console.log(`call #${index} is written to the plan: ${entry.summary}`);
+      return [];
+    },
+    // returns false if no call is planned yet, then the checkpoint is written right away
+    deferCheckpoint: function (name, state) {
+      const lastCall = plan.calls[plan.calls.length - 1];
+      if (!lastCall) return false;
+      lastCall.checkpoints[name] = state;
+      writePlan(planDir, plan);
+      return true;
+    },
+    finish: function (outputCsvFile) {
+      plan.outputCsvFile = outputCsvFile;
+      writePlan(planDir, plan);
+    },
+  };
+};
+
+module.exports = {
+  getCallName,
+  summarizeCall,
+  createPlan,
+  readPlan,
+  writePlan,
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { summarizeCall, createPlan, readPlan } = require('./plan');
+
+describe('plan tests', () => {
+  let planDir;
+  const method = (section, name, args = []) => ({
+    section,
+    method: name,
+    args,
+  });
+  const call = (hash, callMethod) => ({
+    method: {
+      ...callMethod,
+      hash: { toHex: () => hash },
+      toHex: () => `${hash}00`,
+      toHuman: () => ({ section: callMethod.section }),
+    },
+  });
+
+  beforeEach(() => {
+    planDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'plan-')), 'p');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(planDir), { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('test the summary of a proxied batch', () => {
+    const mint = method('uniques', 'mint');
+    const batch = method('utility', 'batchAll', [
+      [mint, mint, method('balances', 'transfer')],
+    ]);
+    const proxy = method('proxy', 'proxy', ['5Alice', 'Assets', batch]);
+    expect(summarizeCall(proxy)).toEqual(
+      'proxy.proxy(5Alice, Assets, utility.batchAll(2 x uniques.mint, 1 x balances.transfer))'
+    );
+  });
+
+  it('test the calls and the deferred checkpoints of a plan', () => {
+    const plan = createPlan(planDir, { command: 'run' });
+    // a checkpoint before the first call is written right away
+    expect(plan.deferCheckpoint('class', { id: '1' })).toBe(false);
+
+    expect(plan.add(call('0x01', method('uniques', 'create')))).toEqual([]);
+    expect(plan.deferCheckpoint('class', { id: '1' })).toBe(true);
+    plan.add(call('0x02', method('uniques', 'mint')));
+    plan.deferCheckpoint('batch', { lastMintBatch: 1 });
+    plan.deferCheckpoint('batch', { lastMintBatch: 2 });
+    plan.finish('out.csv');
+
+    const manifest = readPlan(planDir);
+    expect(manifest.command).toEqual('run');
+    expect(manifest.outputCsvFile).toEqual('out.csv');
+    expect(manifest.calls).toEqual([
+      {
+        index: 1,
+        callHash: '0x01',
+        summary: 'uniques.create',
+        checkpoints: { class: { id: '1' } },
+      },
+      {
+        index: 2,
+        callHash: '0x02',
+        summary: 'uniques.mint',
+        checkpoints: { batch: { lastMintBatch: 2 } },
+      },
+    ]);
+    const written = JSON.parse(
+      fs.readFileSync(path.join(planDir, '0002.json'), 'utf8')
+    );
+    expect(written.call).toEqual('0x0200');
+  });
+
+  it('test a plan directory that is not empty', () => {
+    createPlan(planDir, { command: 'run' });
+    expect(() => createPlan(planDir, { command: 'run' })).toThrow(
+      'is not empty'
+    );
+  });
+});
@@ -1,13 +1,50 @@
+const fs = require('fs');
 const path = require('path');
 const { isEmptyObject } = require('../utils');
+const { storageProviders } = require('../storage');
+const { supportedPallets } = require('../chain/pallet');
+const { batchModes } = require('../chain/batch');
 const {
+  signerSources,
+  validateSeed,
+  readKeystore,
+} = require('../chain/signer');
+const { mnemonicValidate } = require('@polkadot/util-crypto');
+const { secretFormats, keyTypes, mnemonicWords } = require('./giftSecrets');
+const {
+  throwError,
   validate,
+  validateAddress,
   validateFileAccess,
   validateFileExists,
   validateElement,
   validateSection,
 } = require('../utils/validation');
 
+const loadMetadataTemplate = (templateFile, element) => {
+  const templatePath = path.resolve(templateFile);
+  validateFileExists(templatePath, element);
+  try {
+    return JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+  } catch (err) {
+    throwError(
+      `${element}: ${templatePath} is not a valid json file. ${err.message}`
+    );
+  }
+};
+
+const validateAttributes = (attributes, element, types = ['string']) => {
+  if (attributes == null) return;
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throwError(`${element} should be a mapping of attribute keys to values.`);
+  }
+  for (let [key, value] of Object.entries(attributes)) {
+    if (!types.includes(typeof value)) {
+      throwError(`${element}.${key} should be a ${types.join(' or a ')}.`);
+    }
+  }
+};
+
 const parseConfig = (cfile) => {
   // resolve the path a relative path
   let configFile = path.resolve(cfile);
@@ -25,16 +62,137 @@ const parseConfig = (cfile) => {
     // network
     validateSection(configJson, 'network', configFile);
     validateElement(configJson, 'network.provider', configFile);
-    validateElement(configJson, 'network.accountSeed', configFile);
+    // the provider is either an endpoint or a list of endpoints to fail over to
+    const { provider } = configJson.network;
+    const endpoints = Array.isArray(provider) ? provider : [provider];
+    if (!endpoints.length) {
+      throwError('network.provider should have at least one endpoint.');
+    }
+    endpoints.forEach((endpoint) => {
+      if (typeof endpoint !== 'string' || !/^wss?:\/\//.test(endpoint)) {
+        throwError(
+          `network.provider: ${endpoint} should be a ws:// or wss:// endpoint.`
+        );
+      }
+    });
+    // the signing key is loaded from one of the signer sources, or entered in a prompt if none is configured.
+    // the calls are signed externally in the unsigned mode, then only the address of the signer is configured
+    const configuredSources = signerSources.filter(
+      (source) => configJson.network[source]
+    );
+    if (configuredSources.length > 1) {
+      throwError(
+        `Only one of network.${configuredSources.join(
+          ', network.'
+        )} should be configured.`
+      );
+    }
+    const { accountSeed, accountSeedEnv, keystoreFile, signerAddress } =
+      configJson.network;
+    if (accountSeed) {
+      validateSeed(accountSeed, 'network.accountSeed');
+    }
+    if (accountSeedEnv != null && typeof accountSeedEnv !== 'string') {
+      throwError(
+        'network.accountSeedEnv should be the name of an environment variable.'
+      );
+    }
+    if (keystoreFile) {
+      readKeystore(keystoreFile);
+    }
+    if (signerAddress) {
+      validateAddress(signerAddress, 'network.signerAddress');
+    }
+    const { pallet } = configJson.network;
+    if (pallet && pallet !== 'auto' && !supportedPallets.includes(pallet)) {
+      throwError(
+        `network.pallet: ${pallet} should be one of: auto, ${supportedPallets.join(
+          ', '
+        )}.`
+      );
+    }
+    const txConfig = configJson.network.tx;
+    if (txConfig != null) {
+      for (let option of ['timeout', 'retries', 'backoff']) {
+        const value = txConfig[option];
+        if (value != null && (!Number.isInteger(value) || value < 0)) {
+          throwError(`network.tx.${option} should be a positive number.`);
+        }
+      }
+    }
+    const { proxyType, multisig } = configJson.network;
+    if (proxyType != null && (typeof proxyType !== 'string' || !proxyType)) {
+      throwError('network.proxyType should be the name of a proxy type.');
+    }
+    if (multisig != null) {
+      const { signatories, threshold } = multisig;
+      if (!Array.isArray(signatories) || signatories.length < 2) {
+        throwError(
+          'network.multisig.signatories should be a list of at least two addresses.'
+        );
+      }
+      signatories.forEach((address, i) =>
+        validateAddress(address, `network.multisig.signatories.${i}`)
+      );
+      if (
+        !Number.isInteger(threshold) ||
+        threshold < 1 ||
+        threshold > signatories.length
+      ) {
+        throwError(
+          `network.multisig.threshold should be a number between 1 and ${signatories.length}.`
+        );
+      }
+    }
 
-    // pinata
-    validateSection(configJson, 'pinata', configFile);
-    validateElement(configJson, 'pinata.apiKey', configFile);
-    validateElement(configJson, 'pinata.secretApiKey', configFile);
+    // storage
+    if (!configJson.storage) {
+      // no storage section, fallback to the pinata section
+      validateSection(configJson, 'pinata', configFile);
+      configJson.storage = { provider: 'pinata', pinata: configJson.pinata };
+    }
+    validateElement(configJson, 'storage.provider', configFile);
+    const storageProvider = configJson.storage.provider;
+    if (!storageProviders.includes(storageProvider)) {
+      throwError(
+        `storage.provider: ${storageProvider} is not supported. Supported providers are: ${storageProviders.join(
+          ', '
+        )}.`
+      );
+    }
+    validateSection(configJson, `storage.${storageProvider}`, configFile);
+    const { cidVersion, onCidMismatch } = configJson.storage;
+    if (cidVersion != null && ![0, 1].includes(parseInt(cidVersion))) {
+      throwError(`storage.cidVersion: ${cidVersion} should be either 0 or 1.`);
+    }
+    if (onCidMismatch && !['fail-run', 'fail-row'].includes(onCidMismatch)) {
+      throwError(
+        `storage.onCidMismatch: ${onCidMismatch} should be either fail-run or fail-row.`
+      );
+    }
+    switch (storageProvider) {
+      case 'pinata':
+        validateElement(configJson, 'storage.pinata.apiKey', configFile);
+        validateElement(configJson, 'storage.pinata.secretApiKey', configFile);
+        break;
+      case 'kubo':
+        validateElement(configJson, 'storage.kubo.url', configFile);
+        break;
+      case 'local':
+        validateElement(configJson, 'storage.local.directory', configFile);
+        configJson.storage.local.directory = path.resolve(
+          configJson.storage.local.directory
+        );
+        break;
+    }
 
     // class
     validateSection(configJson, 'class', configFile);
-    validateElement(configJson, 'class.id', configFile);
+    // the collection ids are assigned by the nfts pallet, a class.id is only set to add to an existing collection.
+    // if the pallet is detected from the chain, the class.id is checked once the pallet is known.
+    if (pallet === 'uniques') {
+      validateElement(configJson, 'class.id', configFile);
+    }
     if (configJson.class.metadata?.imageFile) {
       validateFileExists(
         path.resolve(configJson.class.metadata.imageFile),
@@ -48,8 +206,120 @@ const parseConfig = (cfile) => {
       );
     }
 
+    if (configJson.class.metadata?.template) {
+      configJson.class.metadata.metadataTemplate = loadMetadataTemplate(
+        configJson.class.metadata.template,
+        'class.metadata.template'
+      );
+    }
+
+    validateAttributes(configJson.class.attributes, 'class.attributes', [
+      'string',
+      'number',
+    ]);
+
+    const { finalize } = configJson.class;
+    if (finalize != null) {
+      if (typeof finalize !== 'object' || Array.isArray(finalize)) {
+        throwError(
+          'class.finalize should be an object with the team, owner and lock settings.'
+        );
+      }
+      for (let role of ['issuer', 'admin', 'freezer', 'owner']) {
+        if (finalize[role] != null) {
+          validateAddress(finalize[role], `class.finalize.${role}`);
+        }
+      }
+      for (let flag of ['lockMetadata', 'lockAttributes', 'freezeClass']) {
+        if (finalize[flag] != null && typeof finalize[flag] !== 'boolean') {
+          throwError(`class.finalize.${flag} should be true or false.`);
+        }
+      }
+    }
+
     // instance
     validateSection(configJson, 'instance', configFile);
+    validateAttributes(configJson.instance.attributes, 'instance.attributes');
+
+    const { batchSize, batchMode } = configJson.instance;
+    if (
+      batchSize != null &&
+      batchSize !== '' &&
+      batchSize !== 'auto' &&
+      !(parseInt(batchSize) > 0)
+    ) {
+      throwError(
+        'instance.batchSize should be a positive number of rows or "auto".'
+      );
+    }
+    if (batchMode != null && !batchModes.includes(batchMode)) {
+      throwError(
+        `instance.batchMode should be one of: ${batchModes.join(', ')}.`
+      );
+    }
+
+    const { secrets } = configJson.instance;
+    if (secrets != null) {
+      const {
+        format,
+        words,
+        length,
+        derivationPath,
+        keyType,
+        masterSeed,
+        keyColumn,
+      } = secrets;
+      if (format != null && !secretFormats.includes(format)) {
+        throwError(
+          `instance.secrets.format should be one of: ${secretFormats.join(
+            ', '
+          )}.`
+        );
+      }
+      if (words != null && !mnemonicWords.includes(words)) {
+        throwError(
+          `instance.secrets.words should be one of: ${mnemonicWords.join(
+            ', '
+          )}.`
+        );
+      }
+      if (length != null && (!Number.isInteger(length) || length < 8)) {
+        throwError(
+          'instance.secrets.length should be a number of bytes, not less than 8.'
+        );
+      }
+      if (
+        derivationPath != null &&
+        (typeof derivationPath !== 'string' ||
+          !/^(\/)+[^/]/.test(derivationPath))
+      ) {
+        throwError(
+          'instance.secrets.derivationPath should be a derivation path e.g. //gift or /soft.'
+        );
+      }
+      if (keyType != null && !keyTypes.includes(keyType)) {
+        throwError(
+          `instance.secrets.keyType should be one of: ${keyTypes.join(', ')}.`
+        );
+      }
+      if (masterSeed != null) {
+        if (typeof masterSeed !== 'string' || !mnemonicValidate(masterSeed)) {
+          throwError('instance.secrets.masterSeed should be a valid mnemonic.');
+        }
+        // the secrets are derived from a 32 bytes seed
+        if (length > 32) {
+          throwError(
+            'instance.secrets.length can not be more than 32 bytes when the secrets are derived from instance.secrets.masterSeed.'
+          );
+        }
+      }
+      if (secrets.encrypt != null && typeof secrets.encrypt !== 'boolean') {
+        throwError('instance.secrets.encrypt should be true or false.');
+      }
+      if (keyColumn != null && typeof keyColumn !== 'string') {
+        throwError('instance.secrets.keyColumn should be a csv column.');
+      }
+    }
 
     // instance.data
     validateSection(configJson, 'instance.data', configFile);
@@ -59,6 +329,16 @@ const parseConfig = (cfile) => {
       configJson.instance.data.csvFile
     );
 
+    const { recipientColumn } = configJson.instance.data;
+    if (
+      recipientColumn != null &&
+      (typeof recipientColumn !== 'string' || !recipientColumn)
+    ) {
+      throwError(
+        'instance.data.recipientColumn should be the csv column of the recipient addresses.'
+      );
+    }
+
     // set output path
     let outDir = path.dirname(configJson.instance.data.csvFile);
     let ext = path.extname(configJson.instance.data.csvFile);
@@ -69,6 +349,35 @@ const parseConfig = (cfile) => {
     let metaFolderPath = path.join(outDir, metaFolderName);
     configJson.metadataFolder = path.resolve(metaFolderPath);
     configJson.instance.data.outputCsvFile = path.resolve(outFilename);
+    let recoveredFilename = path.basename(
+      configJson.instance.data.csvFile,
+      ext
+    );
+    recoveredFilename += ext ? `.recovered${ext}` : `.recovered`;
+    configJson.instance.data.recoveredCsvFile = path.resolve(
+      path.join(outDir, recoveredFilename)
+    );
+    let decryptedFilename = path.basename(
+      configJson.instance.data.csvFile,
+      ext
+    );
+    decryptedFilename += ext ? `.decrypted${ext}` : `.decrypted`;
+    configJson.instance.data.decryptedCsvFile = path.resolve(
+      path.join(outDir, decryptedFilename)
+    );
+    let statusFilename = path.basename(configJson.instance.data.csvFile, ext);
+    configJson.instance.data.statusCsvFile = path.resolve(
+      path.join(outDir, `${statusFilename}.status${ext || '.csv'}`)
+    );
+    configJson.instance.data.statusJsonFile = path.resolve(
+      path.join(outDir, `${statusFilename}.status.json`)
+    );
+    configJson.instance.data.carFile = path.resolve(
+      path.join(
+        outDir,
+        `${path.basename(configJson.instance.data.csvFile, ext)}.car`
+      )
+    );
 
     validateFileExists(
       configJson.instance.data.csvFile,
@@ -76,6 +385,20 @@ const parseConfig = (cfile) => {
     );
     validateFileAccess(outDir, 'write');
 
+    // claim
+    const { claim } = configJson;
+    if (claim != null) {
+      if (claim.urlTemplate != null && typeof claim.urlTemplate !== 'string') {
+        throwError(
+          'claim.urlTemplate should be a url with <<column>> placeholders.'
+        );
+      }
+      const qrFile = claim.qrFile ?? path.join(outDir, 'qr', '<>.svg');
+      const parts = qrFile.split('/');
+      configJson.claim.qrFileNameTemplate = parts.pop();
+      configJson.claim.qrFolder = path.resolve(parts.join('/'));
+    }
+
     // instance.metadata
     const instanceMetadata = configJson.instance.metadata;
     if (!isEmptyObject(instanceMetadata)) {
@@ -109,8 +432,39 @@ const parseConfig = (cfile) => {
         );
       }
 
-      validateElement(configJson, 'instance.metadata.name', configFile);
-      validateElement(configJson, 'instance.metadata.description', configFile);
+      const { attributes } = instanceMetadata;
+      if (attributes != null) {
+        if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+          throwError(
+            'instance.metadata.attributes should be a mapping of trait names to csv columns.'
+          );
+        }
+        for (let [traitType, traitConfig] of Object.entries(attributes)) {
+          if (
+            typeof traitConfig !== 'string' &&
+            typeof traitConfig?.value !== 'string'
+          ) {
+            throwError(
+              `instance.metadata.attributes.${traitType} should be a csv column, a <<column>> template or an object with a value.`
+            );
+          }
+        }
+      }
+
+      if (instanceMetadata.template) {
+        configJson.instance.metadata.metadataTemplate = loadMetadataTemplate(
+          instanceMetadata.template,
+          'instance.metadata.template'
+        );
+      } else {
+        // name and description are only required for the default metadata fields
+        validateElement(configJson, 'instance.metadata.name', configFile);
+        validateElement(
+          configJson,
+          'instance.metadata.description',
+          configFile
+        );
+      }
     }
   } catch (error) {
     return { error: error.message ?? error.toString() };
@@ -4,35 +4,128 @@ const path = require('path');
 const BN = require('bn.js');
 const { setTimeout } = require('timers/promises');
 const assert = require('assert');
+const QRCode = require('qrcode');
+const { decodeAddress, encodeAddress } = require('@polkadot/util-crypto');
 const {
   generateAndSetCollectionMetadata,
   generateMetadata,
+  generateAttributes,
+  renderMetadataTemplate,
+  createMetadataTxs,
   setMetadataInBatch,
+  getInstanceMetaCid,
 } = require('./metadata');
-const { generateSecret } = require('./giftSecrets');
-const { mintClassInstances, burnInstances } = require('./mint');
-const { transferFunds } = require('./balanceTransfer');
+const { createAttributeTxs, setAttributesInBatch } = require('./attributes');
+const { generateSecret, getSecretKeyPair } = require('./giftSecrets');
+const {
+  createMintTxs,
+  mintClassInstances,
+  createBurnTxs,
+  burnInstances,
+} = require('./mint');
+const {
+  createTransferTxs,
+  transferFunds,
+  isFunded,
+} = require('./balanceTransfer');
 const {
   columnTitles,
+  hasCheckpoints,
   checkPreviousCheckpoints,
   loadContext,
   getContext,
+  loadPinCache,
+  readDataFile,
+  getRecordRange,
+  getCheckpointClassId,
 } = require('./context');
-const { signAndSendTx } = require('../chain/txHandler');
+const { signAndSendTx, findInclusion } = require('../chain/txHandler');
+const {
+  createProxyCall,
+  createBatchCall,
+  getOrigin,
+  sendCall,
+  estimateFee,
+  estimateBatchSize,
+} = require('../chain/batch');
+const { connect } = require('../chain/chain');
 const inqAsk = inquirer.createPromptModule();
 const { parseConfig } = require('./wfConfig');
-const { WorkflowError } = require('../Errors');
-const { fillTemplateFromData } = require('../utils/csv');
-const { isNumber, isEmptyObject } = require('../utils');
+const { createStorageClient } = require('../storage');
+const { getCallName, createPlan, readPlan, writePlan } = require('./plan');
+const { createCarClient } = require('../storage/carClient');
+const { WorkflowError, CidMismatchError } = require('../Errors');
+const {
+  fillTemplateFromData,
+  readCsvSync,
+  writeCsvSync,
+  getColumnIndex,
+  toColumnTemplate,
+  getTemplateColumns,
+} = require('../utils/csv');
 const {
+  isNumber,
+  isEmptyObject,
+  formatUnits,
+  isSameAccount,
+} = require('../utils');
+const {
+  errorMessage,
   importantMessage,
   stepTitle,
   notificationMessage,
 } = require('../utils/styles');
 
-const executeInBatch = async (batchInfo, action, callback) => {
-  let { startRecordNo, endRecordNo, checkpointedBatchNo, batchSize } =
+// the batch size of the workflow, "auto" is resolved by executeInBatch for the steps that send the rows on chain
+const getBatchSize = (wfConfig) =>
+  wfConfig?.instance?.batchSize === 'auto'
+    ? 'auto'
+    : parseInt(wfConfig?.instance?.batchSize) || 100;
+
+// the number of rows that the auto batch size is measured by, the txs of a row may be queried from the chain
+const autoBatchSampleRows = 10;
+
+// resolves batchSize: "auto" to the largest batch that fits in the extrinsic limits.
+// the batch is measured by the txs of the largest of its first rows, the batch only uses a share of the limits
+// (autoBatchLimitShare), so the rows that are bigger than the measured ones still fit.
+// getRowTxs(rowNo) returns the txs of a row.
+const resolveBatchSize = async (batchInfo, network) => {
+  const { startRecordNo, endRecordNo, batchSize, getRowTxs, batchMode } =
     batchInfo;
+  if (batchSize !== 'auto') return batchSize;
+  if (!getRowTxs) return 100;
+
+  const sampleEndRecordNo = Math.min(
+    startRecordNo + autoBatchSampleRows,
+    endRecordNo
+  );
+  let largestRowTxs = [];
+  let largestRowLength = 0;
+  for (let i = startRecordNo; i < sampleEndRecordNo; i++) {
+    const txs = (await getRowTxs(i)) || [];
+    const length = txs.reduce((sum, tx) => sum + tx.encodedLength, 0);
+    if (length > largestRowLength) {
+      largestRowTxs = txs;
+      largestRowLength = length;
+    }
+  }
+  if (!largestRowTxs.length) return 100;
+
+  const size = await estimateBatchSize(network, largestRowTxs, 1, batchMode);
+  console.log(
+    notificationMessage(
+      `The batch size is set to ${size} rows by the weight and the length of the batch`
+    )
+  );
+  return size;
+};
+
+const executeInBatch = async (batchInfo, action, callback) => {
+  let { startRecordNo, endRecordNo, checkpointedBatchNo } = batchInfo;
+  const batchSize =
+    batchInfo.batchSize === 'auto'
+      ? await resolveBatchSize(batchInfo, getContext().network)
+      : batchInfo.batchSize;
 
   assert(isNumber(startRecordNo), 'batch startRecordNo is not a valid number');
   assert(isNumber(endRecordNo), 'batch endRecordNo is not a valid number');
@@ -65,8 +158,18 @@ const executeInBatch = async (batchInfo, action, callback) => {
       endRecordNo
     );
 
-    await action(batchStartRecordNo, batchEndRecordNo, lastBatch + 1);
-    await callback(batchStartRecordNo, batchEndRecordNo, lastBatch + 1);
+    await action(
+      batchStartRecordNo,
+      batchEndRecordNo,
+      lastBatch + 1,
+      batchSize
+    );
+    await callback(
+      batchStartRecordNo,
+      batchEndRecordNo,
+      lastBatch + 1,
+      batchSize
+    );
     lastBatch += 1;
   }
 };
@@ -74,21 +177,22 @@ const executeInBatch = async (batchInfo, action, callback) => {
 const createClass = async (wfConfig) => {
   // 1- create class
   const context = getContext();
-  const { api, signingPair, proxiedAddress } = context.network;
+  const { pallet } = context.network;
   const { dryRun } = context;
+  const cfgClassId = wfConfig.class?.id;
 
   // if a valid class is not already created or does not exist, create the class
   if (
     context.class.id === undefined ||
-    wfConfig.class?.id !== context.class.id
+    (cfgClassId !== undefined && cfgClassId !== context.class.id)
   ) {
     // check the specified class does not exist
-    let cfgClassId = wfConfig.class.id;
-    let uniquesClass = (await api.query.uniques.class(cfgClassId))
-      ?.unwrapOr(undefined)
-      ?.toJSON();
+    let existingClass =
+      cfgClassId !== undefined
+        ? await pallet.queryClass(cfgClassId)
+        : undefined;
 
-    if (uniquesClass) {
+    if (existingClass) {
       // class already exists ask user if they want to mint in the same class
       const answer = (await inqAsk([
         {
@@ -104,7 +208,7 @@ const createClass = async (wfConfig) => {
         );
       } else {
         context.class.id = cfgClassId;
-        context.class.startInstanceId = Number(uniquesClass?.items);
+        context.class.startInstanceId = Number(existingClass?.items);
         // set the start instance id to the last id available in the class assuming all instances are minted from 0 to number of current instances.
         console.log(
           notificationMessage(
@@ -113,13 +217,35 @@ const createClass = async (wfConfig) => {
         );
       }
     } else {
-      // create a new class
-      context.class.id = cfgClassId;
-      let tx = api.tx.uniques.create(context.class.id, signingPair?.address);
-      let call = proxiedAddress
-        ? api.tx.proxy.proxy(proxiedAddress, 'Assets', tx)
-        : tx;
-      await signAndSendTx(api, call, signingPair, true, dryRun);
+      if (pallet.name === 'uniques' && cfgClassId === undefined) {
+        throw new WorkflowError(
+          'class.id is not configured in your workflow.json settings. The class ids are chosen by the creator on the uniques pallet.'
+        );
+      }
+      if (pallet.name === 'nfts' && cfgClassId !== undefined) {
+        throw new WorkflowError(
+          `The collection ${cfgClassId} does not exist. The collection ids are assigned by the nfts pallet, remove class.id from your workflow.json settings to create a new collection.`
+        );
+      }
+      // create a new class, the account that sends the calls is the admin of the class
+      let tx = pallet.create(
+        cfgClassId,
+        getOrigin(context.network),
+        wfConfig.class?.config
+      );
+      const events = await sendCall(
+        context.network,
+        createProxyCall(context.network, tx),
+        dryRun
+      );
+      // in the unsigned and the dry-run modes the class is not created, its id is the id that the next class is assigned
+      context.class.id =
+        context.plan || dryRun
+          ? await pallet.queryNextClassId(cfgClassId)
+          : pallet.getCreatedClassId(events, cfgClassId);
+      console.log(
+        notificationMessage(`The class ${context.class.id} is created.`)
+      );
     }
     // set the class checkpoint
     if (!dryRun) context.class.checkpoint();
@@ -131,7 +257,7 @@ const createClass = async (wfConfig) => {
 };
 
 const setCollectionMetadata = async (wfConfig) => {
-  // 2-generate/set class metadata
+  // 3-generate/set class metadata
   const context = getContext();
   const { dryRun } = context;
 
@@ -164,10 +290,12 @@ const setCollectionMetadata = async (wfConfig) => {
       let metadataFile = path.join(metadataFolder, 'class.meta');
       context.class.metaCid = await generateAndSetCollectionMetadata(
         context.network,
-        context.pinataClient,
+        context.storageClient,
         context.class.id,
         metadata,
-        metadataFile
+        metadataFile,
+        dryRun,
+        !!wfConfig?.class?.finalize?.lockMetadata
       );
       // update class checkpoint
       if (!dryRun) context.class.checkpoint();
@@ -179,8 +307,94 @@ const setCollectionMetadata = async (wfConfig) => {
   }
 };
 
+// the key of the hard derivation path of a gift secret, the row number if no instance.secrets.keyColumn is configured
+const getDerivationKey = (secretsConfig, rowNumber, { header, records }) => {
+  if (!secretsConfig?.keyColumn) return rowNumber;
+  const [keyIdx] = getColumnIndex(header, [secretsConfig.keyColumn]);
+  return records[keyIdx];
+};
+
+// in the airdrop mode the instances are minted to the recipient addresses, instead of the gift accounts
+const isAirdrop = (wfConfig) => !!wfConfig?.instance?.data?.recipientColumn;
+
+// decodes the recipient addresses from any ss58 prefix and encodes them with the ss58 format of the chain
+const getRecipientAddresses = (wfConfig) => {
+  const context = getContext();
+  const { api } = context.network;
+  const { startRecordNo, endRecordNo } = context.data;
+  const { recipientColumn } = wfConfig.instance.data;
+
+  const [recipients] = context.data.getColumns([recipientColumn]);
+  let addresses = [];
+  let invalidRows = [];
+  for (let i = startRecordNo; i < endRecordNo; i++) {
+    const recipient = recipients.records[i];
+    try {
+      addresses[i] = encodeAddress(
+        decodeAddress(recipient),
+        api.registry?.chainSS58
+      );
+    } catch {
+      invalidRows.push(`row ${i + 2}: ${recipient || '<empty>'}`);
+    }
+  }
+  return { addresses, invalidRows };
+};
+
+// the steps that send a call per row, in the order they are run. in the force batch mode a row that fails a step
+// is recorded with the status "<step> failed", and skips the later steps until it is sent by retry-failed.
+const rowSteps = ['mint', 'attributes', 'metadata', 'funding'];
+const failedStatus = (step) => `${step} failed`;
+const getFailedStep = (status) =>
+  rowSteps.find((step) => status === failedStatus(step));
+
+const getBatchMode = (wfConfig) => wfConfig?.instance?.batchMode || 'atomic';
+
+// returns a check of the rows that have failed a previous step
+const getFailedRowCheck = () => {
+  const context = getContext();
+  const [statusColumn] = context.data.getColumns([columnTitles.rowStatus]);
+  return (rowNo) => !!getFailedStep(statusColumn.records?.[rowNo]);
+};
+
+// records the failed calls of a batch on their rows, rows[i] is the row of the i-th call of the batch.
+// returns the failed rows.
+const recordFailedRows = (step, rows, results) => {
+  const context = getContext();
+  let [statusColumn, errorColumn] = context.data.getColumns([
+    columnTitles.rowStatus,
+    columnTitles.rowError,
+  ]);
+  let failedRows = new Set();
+  results.forEach(({ success, error }, i) => {
+    if (success) return;
+    const rowNo = rows[i];
+    failedRows.add(rowNo);
+    statusColumn.records[rowNo] = failedStatus(step);
+    errorColumn.records[rowNo] = error;
+    console.log(
+      errorMessage(`row #${rowNo + 2} failed the ${step} step: ${error}`)
+    );
+  });
+  if (failedRows.size) {
+    statusColumn.records = statusColumn.records.map((value) => value || '');
+    errorColumn.records = errorColumn.records.map((value) => value || '');
+    context.data.setColumns([statusColumn, errorColumn]);
+  }
+  return failedRows;
+};
+
 const generateGiftSecrets = async (wfConfig) => {
-  // 3-create nft secrets + addresses
+  // 4-create nft secrets + addresses
+  if (isAirdrop(wfConfig)) {
+    console.log(
+      notificationMessage(
+        'Skipped! The instances are minted to the recipient addresses'
+      )
+    );
+    return;
+  }
+
   let context = getContext();
   const { dryRun } = context;
   let keyring = context.network.keyring;
@@ -202,7 +416,15 @@ const generateGiftSecrets = async (wfConfig) => {
       i < context.data.endRecordNo &&
       !secretColumn.records[i]
     ) {
-      const { secret, address } = await generateSecret(keyring);
+      const secretsConfig = wfConfig?.instance?.secrets;
+      const { secret, address } = await generateSecret(
+        keyring,
+        secretsConfig,
+        getDerivationKey(secretsConfig, i + 2, {
+          header: context.data.header,
+          records: context.data.records[i],
+        })
+      );
       secretColumn.records[i] = secret;
       addressColumn.records[i] = address;
       isUpdated = true;
@@ -216,7 +438,7 @@ const generateGiftSecrets = async (wfConfig) => {
 };
 
 const mintInstancesInBatch = async (wfConfig) => {
-  //4- mint instances in batch
+  //5- mint instances in batch
   const context = getContext();
   const { startRecordNo, endRecordNo } = context.data;
   const { dryRun } = context;
@@ -237,8 +459,19 @@ const mintInstancesInBatch = async (wfConfig) => {
     context.data.addColumn(columnTitles.instanceId);
   }
 
-  // check Address column exists
-  if (
+  let ownerAddresses = addressColumn.records;
+  if (isAirdrop(wfConfig)) {
+    const { addresses, invalidRows } = getRecipientAddresses(wfConfig);
+    if (invalidRows.length) {
+      throw new WorkflowError(
+        `The recipient addresses of the following rows are not valid:\n${invalidRows.join(
+          '\n'
+        )}`
+      );
+    }
+    ownerAddresses = addresses;
+  } else if (
+    // check Address column exists
     !addressColumn.records?.[startRecordNo] ||
     !addressColumn.records?.[endRecordNo - 1]
   ) {
@@ -253,31 +486,64 @@ const mintInstancesInBatch = async (wfConfig) => {
     : 0;
 
   // load last minted batch from checkpoint
-  let batchSize = parseInt(wfConfig?.instance?.batchSize) || 100;
   let lastCheckpointedBatch = context.batch.lastMintBatch;
+  const batchMode = getBatchMode(wfConfig);
 
   let batchInfo = {
     startRecordNo,
     endRecordNo,
     checkpointedBatchNo: lastCheckpointedBatch,
-    batchSize,
+    batchSize: context.batch.mintBatchSize || getBatchSize(wfConfig),
+    batchMode,
+    getRowTxs: (i) =>
+      createMintTxs(context.network, context.class.id, [
+        {
+          instanceId: startInstanceId + i - startRecordNo,
+          owner: ownerAddresses[i],
+        },
+      ]),
   };
 
-  let batchAction = async (batchStartRecordNo, batchEndRecordNo, batchNo) => {
-    let batchStartInstanceId = startInstanceId + (batchNo - 1) * batchSize;
-    let ownerAddresses = addressColumn.records;
-    await mintClassInstances(
-      context.network,
-      context.class.id,
-      batchStartInstanceId,
-      ownerAddresses.slice(batchStartRecordNo, batchEndRecordNo),
-      dryRun
-    );
+  let batchAction = async (
+    batchStartRecordNo,
+    batchEndRecordNo,
+    batchNo,
+    batchSize
+  ) => {
+    // the pending batch may have been minted before the last run was halted, check it on chain
+    const isPendingBatch = batchNo === lastCheckpointedBatch + 1;
+    const { pallet } = context.network;
 
+    let instances = [];
+    let rows = [];
     let currentInstanceId = startInstanceId + (batchNo - 1) * batchSize;
     for (let i = batchStartRecordNo; i < batchEndRecordNo; i++) {
-      instanceIdColumn.records[i] = currentInstanceId;
-      currentInstanceId += 1;
+      const instanceId = currentInstanceId++;
+      if (
+        isPendingBatch &&
+        (await pallet.queryInstanceOwner(context.class.id, instanceId))
+      ) {
+        console.log(
+          notificationMessage(
+            `instance ${instanceId} of row #${i + 2} is already minted`
+          )
+        );
+      } else {
+        instances.push({ instanceId, owner: ownerAddresses[i] });
+        rows.push(i);
+      }
+      instanceIdColumn.records[i] = instanceId;
+    }
+
+    if (instances.length) {
+      const results = await mintClassInstances(
+        context.network,
+        context.class.id,
+        instances,
+        dryRun,
+        batchMode
+      );
+      recordFailedRows('mint', rows, results);
     }
     context.data.setColumns([instanceIdColumn]);
   };
@@ -285,7 +551,8 @@ const mintInstancesInBatch = async (wfConfig) => {
   let batchCheckpointCb = async (
     batchStartRecordNo,
     batchEndRecordNo,
-    batchNo
+    batchNo,
+    batchSize
   ) => {
     if (!dryRun) {
       // set checkpiont for instanceIds
@@ -293,6 +560,7 @@ const mintInstancesInBatch = async (wfConfig) => {
 
       // set checkpoint for mint batch
       context.batch.lastMintBatch = batchNo;
+      context.batch.mintBatchSize = batchSize;
       context.batch.checkpoint();
     }
   };
@@ -300,6 +568,41 @@ const mintInstancesInBatch = async (wfConfig) => {
   await executeInBatch(batchInfo, batchAction, batchCheckpointCb);
 };
 
+const generateClaimUrls = async (wfConfig) => {
+  // 11- fill the claim urls of the gift secrets
+  const urlTemplate = wfConfig?.claim?.urlTemplate;
+  if (!urlTemplate) {
+    console.log(
+      notificationMessage('Skipped! No claim.urlTemplate is configured')
+    );
+    return;
+  }
+
+  const context = getContext();
+  const { dryRun } = context;
+  const [secretColumn, claimUrlColumn] = context.data.getColumns([
+    columnTitles.secret,
+    columnTitles.claimUrl,
+  ]);
+  // the claim url column is added to the records if it does not exist yet
+  claimUrlColumn.records = claimUrlColumn.records.map((url) => url || '');
+
+  let isUpdated = false;
+  for (let i = context.data.startRecordNo; i < context.data.endRecordNo; i++) {
+    if (!secretColumn.records[i] || claimUrlColumn.records[i]) continue;
+    claimUrlColumn.records[i] = fillTemplateFromData(
+      urlTemplate,
+      context.data.header,
+      context.data.records[i]
+    );
+    isUpdated = true;
+  }
+  if (isUpdated) {
+    context.data.setColumns([claimUrlColumn]);
+    if (!dryRun) context.data.checkpoint();
+  }
+};
+
 const formatFileName = (fileNameTemplate, rowNumber, { header, records }) => {
   if (fileNameTemplate.includes('<>')) {
     return fileNameTemplate.replace('<>', rowNumber);
@@ -309,13 +612,13 @@ const formatFileName = (fileNameTemplate, rowNumber, { header, records }) => {
 };
 
 const pinAndSetImageCid = async (wfConfig) => {
-  // 5- pin images and generate metadata
+  // 7- pin images and generate metadata
   const context = getContext();
   const { startRecordNo, endRecordNo } = context.data;
   const { dryRun } = context;
 
-  // set the metadata for instances in batch
-  let batchSize = parseInt(wfConfig?.instance?.batchSize) || 100;
+  // set the metadata for instances in batch, the files are pinned one by one, so an auto batch size is 100 rows
+  let batchSize = getBatchSize(wfConfig);
   let lastCheckpointedBatch = context.batch.lastMetaCidBatch || 0;
 
   const rowNumber = (zerobasedIdx) => zerobasedIdx + 2;
@@ -330,14 +633,32 @@ const pinAndSetImageCid = async (wfConfig) => {
     imageFileNameTemplate,
     videoFolder,
     videoFileNameTemplate,
+    attributes,
+    metadataTemplate,
   } = instanceMetadata;
 
-  const [imageCidColumn, metaCidColumn, videoCidColumn] =
-    context.data.getColumns([
-      columnTitles.imageCid,
-      columnTitles.metaCid,
-      columnTitles.videoCid,
-    ]);
+  // with fail-row, a cid mismatch is recorded for the row instead of failing the whole run
+  const failRowOnCidMismatch = wfConfig?.storage?.onCidMismatch === 'fail-row';
+
+  // the precomputed cids are only reviewed, their files are still uploaded by the workflow
+  const onlyHash = !!context.storageClient.onlyHash;
+  const [precomputedCidsIdx] = getColumnIndex(context.data.header, [
+    columnTitles.cidsPrecomputed,
+  ]);
+
+  const [
+    imageCidColumn,
+    metaCidColumn,
+    videoCidColumn,
+    cidErrorColumn,
+    precomputedColumn,
+  ] = context.data.getColumns([
+    columnTitles.imageCid,
+    columnTitles.metaCid,
+    columnTitles.videoCid,
+    columnTitles.cidError,
+    columnTitles.cidsPrecomputed,
+  ]);
 
   // add missing columns
   if (imageCidColumn.records.length === 0) {
@@ -349,6 +670,9 @@ const pinAndSetImageCid = async (wfConfig) => {
   if (videoCidColumn.records.length === 0) {
     context.data.addColumn(columnTitles.videoCid);
   }
+  if (failRowOnCidMismatch && cidErrorColumn.records.length === 0) {
+    context.data.addColumn(columnTitles.cidError);
+  }
   let batchInfo = {
     startRecordNo,
     endRecordNo,
@@ -358,10 +682,11 @@ const pinAndSetImageCid = async (wfConfig) => {
 
   let batchAction = async (batchStartRecordNo, batchEndRecordNo, batchNo) => {
     let itemsGenerated = 0;
+    let itemsFailed = 0;
     let totalItems = 0;
     for (let i = batchStartRecordNo; i < batchEndRecordNo; i++) {
       ++totalItems;
-      if (metaCidColumn.records[i]) {
+      if (metaCidColumn.records[i] && !precomputedColumn.records[i]) {
         console.log(`metadata for the row #${i} is already uploaded, skipping`);
         continue;
       }
@@ -393,15 +718,26 @@ const pinAndSetImageCid = async (wfConfig) => {
       }
 
       // fill template name to build the name string
-      const instanceName = fillTemplateFromData(
-        name,
-        context.data.header,
-        context.data.records[i]
-      );
+      const instanceName =
+        name &&
+        fillTemplateFromData(
+          name,
+          context.data.header,
+          context.data.records[i]
+        );
 
       // fill template description to build the description string
-      const instanceDescription = fillTemplateFromData(
-        description,
+      const instanceDescription =
+        description &&
+        fillTemplateFromData(
+          description,
+          context.data.header,
+          context.data.records[i]
+        );
+
+      // fill the configured traits to build the attributes
+      const instanceAttributes = generateAttributes(
+        attributes,
         context.data.header,
         context.data.records[i]
       );
@@ -409,22 +745,56 @@ const pinAndSetImageCid = async (wfConfig) => {
       let metadataName = `row-${rowNumber(i)}.meta`;
       let metadataFolder = wfConfig.metadataFolder;
       let metaPath = path.join(metadataFolder, metadataName);
-      const { metaCid, imageCid, videoCid } = await generateMetadata(
-        context.pinataClient,
-        instanceName,
-        instanceDescription,
-        imageFile,
-        videoFile,
-        metaPath
-      );
+      let generatedMetadata;
+      try {
+        generatedMetadata = await generateMetadata(
+          context.storageClient,
+          instanceName,
+          instanceDescription,
+          imageFile,
+          videoFile,
+          metaPath,
+          instanceAttributes,
+          metadataTemplate &&
+            renderMetadataTemplate(
+              metadataTemplate,
+              context.data.header,
+              context.data.records[i]
+            )
+        );
+      } catch (err) {
+        if (!failRowOnCidMismatch || !(err instanceof CidMismatchError)) {
+          throw err;
+        }
+        console.log(
+          errorMessage(`row #${rowNumber(i)} failed: ${err.message}`)
+        );
+        cidErrorColumn.records[i] = err.message;
+        ++itemsFailed;
+        continue;
+      }
+      const { metaCid, imageCid, videoCid } = generatedMetadata;
 
+      if (failRowOnCidMismatch) {
+        cidErrorColumn.records[i] = '';
+      }
       imageCidColumn.records[i] = imageCid;
       videoCidColumn.records[i] = videoCid;
       metaCidColumn.records[i] = metaCid;
+      precomputedColumn.records[i] = onlyHash ? 'true' : '';
       ++itemsGenerated;
     }
+    if (itemsFailed) {
+      context.data.setColumns([cidErrorColumn]);
+      console.log(
+        errorMessage(`${itemsFailed} metadata(s) failed the cid verification`)
+      );
+    }
     if (itemsGenerated) {
       context.data.setColumns([imageCidColumn, metaCidColumn, videoCidColumn]);
+      if (onlyHash || precomputedCidsIdx != null) {
+        context.data.setColumns([precomputedColumn]);
+      }
       console.log(`${itemsGenerated} metadata(s) uploaded`);
     } else if (!totalItems) {
       console.log(importantMessage('No metadata was uploaded'));
@@ -450,7 +820,7 @@ const pinAndSetImageCid = async (wfConfig) => {
 };
 
 const setInstanceMetadata = async (wfConfig) => {
-  // 6- set metadata for instances
+  // 8- set metadata for instances
   const instanceMetadata = wfConfig?.instance?.metadata;
   if (isEmptyObject(instanceMetadata)) {
     console.log(
@@ -465,7 +835,6 @@ const setInstanceMetadata = async (wfConfig) => {
   const { startRecordNo, endRecordNo } = context.data;
   const { dryRun } = context;
 
-  let batchSize = parseInt(wfConfig?.instance?.batchSize) || 100;
   let lastCheckpointedBatch = context.batch.lastMetadataBatch || 0;
 
   // read classId from checkpoint
@@ -475,15 +844,18 @@ const setInstanceMetadata = async (wfConfig) => {
     );
   }
 
-  const [metaCidColumn, instanceIdColumn] = context.data.getColumns([
-    columnTitles.metaCid,
-    columnTitles.instanceId,
-  ]);
+  const [metaCidColumn, instanceIdColumn, cidErrorColumn] =
+    context.data.getColumns([
+      columnTitles.metaCid,
+      columnTitles.instanceId,
+      columnTitles.cidError,
+    ]);
 
-  if (
-    !metaCidColumn.records?.[startRecordNo] ||
-    !metaCidColumn.records?.[endRecordNo - 1]
-  ) {
+  // rows that failed the cid verification have no metadata to set
+  const hasMetadata = (i) =>
+    metaCidColumn.records?.[i] || cidErrorColumn.records?.[i];
+
+  if (!hasMetadata(startRecordNo) || !hasMetadata(endRecordNo - 1)) {
     throw new WorkflowError(
       'No metadata checkpoint is recorded or the checkpoint is not in a correct state.'
     );
@@ -498,17 +870,53 @@ const setInstanceMetadata = async (wfConfig) => {
     );
   }
 
+  const isFailedRow = getFailedRowCheck();
+  const batchMode = getBatchMode(wfConfig);
+  const isFrozen = !!wfConfig?.class?.finalize?.lockMetadata;
+
   let batchInfo = {
     startRecordNo,
     endRecordNo,
     checkpointedBatchNo: lastCheckpointedBatch,
-    batchSize,
+    batchSize: context.batch.metadataBatchSize || getBatchSize(wfConfig),
+    batchMode,
+    getRowTxs: (i) =>
+      metaCidColumn.records?.[i]
+        ? createMetadataTxs(
+            context.network,
+            context.class.id,
+            [
+              {
+                instanceId: instanceIdColumn.records[i],
+                metaCid: metaCidColumn.records[i],
+              },
+            ],
+            isFrozen
+          )
+        : [],
   };
 
-  const batchAction = async (batchStartRecordNo, batchEndRecordNo, _) => {
+  const batchAction = async (batchStartRecordNo, batchEndRecordNo, batchNo) => {
+    // the pending batch may have been set before the last run was halted, check it on chain
+    const isPendingBatch = batchNo === lastCheckpointedBatch + 1;
     let instanceMetadatas = [];
+    let rows = [];
     // iterate the rows from startRecordNo to endRecordNo and collect recorded metadata info
     for (let i = batchStartRecordNo; i < batchEndRecordNo; i++) {
+      if (cidErrorColumn.records?.[i]) {
+        console.log(
+          notificationMessage(
+            `row #${i + 2} is skipped: ${cidErrorColumn.records[i]}`
+          )
+        );
+        continue;
+      }
+      if (isFailedRow(i)) {
+        console.log(
+          notificationMessage(`row #${i + 2} is skipped: it has failed`)
+        );
+        continue;
+      }
       if (!isNumber(instanceIdColumn.records?.[i])) {
         throw new WorkflowError(
           `No instanceId is recorded for row#: ${i} or the checkpoint is not in a correct state.`
@@ -518,21 +926,45 @@ const setInstanceMetadata = async (wfConfig) => {
         instanceId: instanceIdColumn.records[i],
         metaCid: metaCidColumn.records[i],
       };
+      if (
+        isPendingBatch &&
+        (await getInstanceMetaCid(
+          context.network,
+          context.class.id,
+          metadata.instanceId
+        )) === metadata.metaCid
+      ) {
+        console.log(
+          notificationMessage(
+            `metadata of the instance ${metadata.instanceId} is already set`
+          )
+        );
+        continue;
+      }
       instanceMetadatas.push(metadata);
+      rows.push(i);
     }
 
-    await setMetadataInBatch(
+    if (!instanceMetadatas.length) {
+      console.log(importantMessage('No metadata left to set in this batch'));
+      return;
+    }
+    const results = await setMetadataInBatch(
       context.network,
       context.class.id,
       instanceMetadatas,
-      dryRun
+      dryRun,
+      isFrozen,
+      batchMode
     );
+    recordFailedRows('metadata', rows, results);
   };
 
   let batchCheckpointCb = async (
     batchStartRecordNo,
     batchEndRecordNo,
-    batchNo
+    batchNo,
+    batchSize
   ) => {
     if (!dryRun) {
       // set data checkpiont
@@ -540,6 +972,7 @@ const setInstanceMetadata = async (wfConfig) => {
 
       // set checkpoint batch
       context.batch.lastMetadataBatch = batchNo;
+      context.batch.metadataBatchSize = batchSize;
       context.batch.checkpoint();
     }
   };
@@ -547,14 +980,78 @@ const setInstanceMetadata = async (wfConfig) => {
   await executeInBatch(batchInfo, batchAction, batchCheckpointCb);
 };
 
-const sendInitialFunds = async (wfConfig) => {
-  // 7-fund accounts with some initial funds
-  const amount = wfConfig?.instance?.initialFund;
+const setClassAttributes = async (wfConfig) => {
+  // 2- set class attributes
+  const classAttributes = wfConfig?.class?.attributes;
+  if (isEmptyObject(classAttributes)) {
+    console.log(
+      notificationMessage(
+        'Skipped! No class attributes are configured for the workflow'
+      )
+    );
+    return;
+  }
 
-  // if no initialFund is set or initialFund is set to zero, skip this step.
-  if (!amount) {
+  const context = getContext();
+  const { dryRun } = context;
+
+  if (context.class.id === undefined) {
+    throw new WorkflowError(
+      'No class.id checkpoint is recorded or the checkpoint is not in correct state'
+    );
+  }
+
+  if (context.class.attributesSet) {
     console.log(
-      'no initialFunds was set in workflow. skipping sendInitialFunds!'
+      notificationMessage('Class attributes are already set in the checkpoint')
+    );
+    return;
+  }
+
+  const attributes = Object.entries(classAttributes).map(([key, value]) => ({
+    key,
+    value: String(value),
+  }));
+  await setAttributesInBatch(
+    context.network,
+    context.class.id,
+    attributes,
+    dryRun
+  );
+
+  // update class checkpoint
+  context.class.attributesSet = true;
+  if (!dryRun) context.class.checkpoint();
+};
+
+// collects the on-chain attributes of a row from the configured columns, the attributes with no value are skipped
+const getInstanceAttributes = (
+  instanceAttributes,
+  instanceId,
+  header,
+  record
+) => {
+  let attributes = [];
+  for (let [key, column] of Object.entries(instanceAttributes || {})) {
+    const value = fillTemplateFromData(
+      toColumnTemplate(column),
+      header,
+      record
+    );
+    if (!value) continue;
+    attributes.push({ instanceId, key, value });
+  }
+  return attributes;
+};
+
+const setInstanceAttributes = async (wfConfig) => {
+  // 6- set attributes for instances
+  const instanceAttributes = wfConfig?.instance?.attributes;
+  if (isEmptyObject(instanceAttributes)) {
+    console.log(
+      notificationMessage(
+        'Skipped! No instance attributes are configured for the workflow'
+      )
     );
     return;
   }
@@ -563,49 +1060,101 @@ const sendInitialFunds = async (wfConfig) => {
   const { startRecordNo, endRecordNo } = context.data;
   const { dryRun } = context;
 
-  let [addressColumn] = context.data.getColumns([columnTitles.address]);
+  let lastCheckpointedBatch = context.batch.lastAttributeBatch || 0;
+
+  // read classId from checkpoint
+  if (context.class.id === undefined) {
+    throw new WorkflowError(
+      'No classId checkpoint is recorded or the checkpoint is not in correct state'
+    );
+  }
+
+  const [instanceIdColumn] = context.data.getColumns([columnTitles.instanceId]);
   if (
-    !addressColumn.records?.[startRecordNo] ||
-    !addressColumn.records?.[endRecordNo - 1]
+    !isNumber(instanceIdColumn?.records?.[startRecordNo]) ||
+    !isNumber(instanceIdColumn?.records?.[endRecordNo - 1])
   ) {
     throw new WorkflowError(
-      'No address column is recorded in the workflow or the checkpoint is not in a correct state.'
+      'No instanceId is recorded or the checkpoint is not in a correct state.'
     );
   }
 
-  // load last balanceTx batch from checkpoint
-  let batchSize = parseInt(wfConfig?.instance?.batchSize) || 100;
-  let lastCheckpointedBatch = context.batch.lastBalanceTxBatch;
-
-  let ownerAddresses = addressColumn.records;
+  const isFailedRow = getFailedRowCheck();
+  const batchMode = getBatchMode(wfConfig);
 
   let batchInfo = {
     startRecordNo,
     endRecordNo,
     checkpointedBatchNo: lastCheckpointedBatch,
-    batchSize,
+    batchSize: context.batch.attributeBatchSize || getBatchSize(wfConfig),
+    batchMode,
+    getRowTxs: (i) =>
+      createAttributeTxs(
+        context.network,
+        context.class.id,
+        getInstanceAttributes(
+          instanceAttributes,
+          instanceIdColumn.records[i],
+          context.data.header,
+          context.data.records[i]
+        )
+      ),
   };
 
   const batchAction = async (batchStartRecordNo, batchEndRecordNo, _) => {
-    await transferFunds(
+    let attributes = [];
+    let rows = [];
+    // iterate the rows from startRecordNo to endRecordNo and collect the attributes from the configured columns
+    for (let i = batchStartRecordNo; i < batchEndRecordNo; i++) {
+      if (isFailedRow(i)) {
+        console.log(
+          notificationMessage(`row #${i + 2} is skipped: it has failed`)
+        );
+        continue;
+      }
+      if (!isNumber(instanceIdColumn.records?.[i])) {
+        throw new WorkflowError(
+          `No instanceId is recorded for row#: ${i} or the checkpoint is not in a correct state.`
+        );
+      }
+      for (let attribute of getInstanceAttributes(
+        instanceAttributes,
+        instanceIdColumn.records[i],
+        context.data.header,
+        context.data.records[i]
+      )) {
+        attributes.push(attribute);
+        rows.push(i);
+      }
+    }
+
+    if (!attributes.length) {
+      console.log(importantMessage('No attributes left to set in this batch'));
+      return;
+    }
+    const results = await setAttributesInBatch(
       context.network,
-      ownerAddresses.slice(batchStartRecordNo, batchEndRecordNo),
-      amount,
-      dryRun
+      context.class.id,
+      attributes,
+      dryRun,
+      batchMode
     );
+    recordFailedRows('attributes', rows, results);
   };
 
   let batchCheckpointCb = async (
     batchStartRecordNo,
     batchEndRecordNo,
-    batchNo
+    batchNo,
+    batchSize
   ) => {
     if (!dryRun) {
       // set data checkpiont
       context.data.checkpoint();
 
       // set checkpoint batch
-      context.batch.lastBalanceTxBatch = batchNo;
+      context.batch.lastAttributeBatch = batchNo;
+      context.batch.attributeBatchSize = batchSize;
       context.batch.checkpoint();
     }
   };
@@ -613,23 +1162,241 @@ const sendInitialFunds = async (wfConfig) => {
   await executeInBatch(batchInfo, batchAction, batchCheckpointCb);
 };
 
-const reapUnusedFunds = async (wfConfig) => {
-  const context = getContext();
-  const { startRecordNo, endRecordNo } = context.data;
-  const { dryRun } = context;
-  const { api, keyring, signingPair: seedKeyPair } = context.network;
-
-  let [secretColumn] = context.data.getColumns([columnTitles.secret]);
+const sendInitialFunds = async (wfConfig) => {
+  // 9-fund accounts with some initial funds
+  const amount = wfConfig?.instance?.initialFund;
 
-  // set the destination address to the address derived from the seed in the workflow
-  let destAddress = seedKeyPair?.address;
+  // the recipients of an airdrop pay their own fees, skip this step.
+  if (isAirdrop(wfConfig)) {
+    console.log(
+      notificationMessage(
+        'Skipped! No initial funds are sent to the recipients of an airdrop'
+      )
+    );
+    return;
+  }
+
+  // if no initialFund is set or initialFund is set to zero, skip this step.
+  if (!amount) {
+    console.log(
+      'no initialFunds was set in workflow. skipping sendInitialFunds!'
+    );
+    return;
+  }
+
+  const context = getContext();
+  const { startRecordNo, endRecordNo } = context.data;
+  const { dryRun } = context;
+
+  let [addressColumn] = context.data.getColumns([columnTitles.address]);
+  if (
+    !addressColumn.records?.[startRecordNo] ||
+    !addressColumn.records?.[endRecordNo - 1]
+  ) {
+    throw new WorkflowError(
+      'No address column is recorded in the workflow or the checkpoint is not in a correct state.'
+    );
+  }
+
+  // load last balanceTx batch from checkpoint
+  let lastCheckpointedBatch = context.batch.lastBalanceTxBatch;
+
+  let ownerAddresses = addressColumn.records;
+  const isFailedRow = getFailedRowCheck();
+  const batchMode = getBatchMode(wfConfig);
+
+  let batchInfo = {
+    startRecordNo,
+    endRecordNo,
+    checkpointedBatchNo: lastCheckpointedBatch,
+    batchSize: context.batch.balanceTxBatchSize || getBatchSize(wfConfig),
+    batchMode,
+    getRowTxs: (i) =>
+      createTransferTxs(context.network, [ownerAddresses[i]], amount),
+  };
+
+  const batchAction = async (batchStartRecordNo, batchEndRecordNo, batchNo) => {
+    // the pending batch may have been funded before the last run was halted, check it on chain
+    const isPendingBatch = batchNo === lastCheckpointedBatch + 1;
+
+    let owners = [];
+    let rows = [];
+    for (let i = batchStartRecordNo; i < batchEndRecordNo; i++) {
+      if (isFailedRow(i)) {
+        console.log(
+          notificationMessage(`row #${i + 2} is skipped: it has failed`)
+        );
+        continue;
+      }
+      if (
+        isPendingBatch &&
+        (await isFunded(context.network, ownerAddresses[i], amount))
+      ) {
+        console.log(
+          notificationMessage(`${ownerAddresses[i]} is already funded`)
+        );
+        continue;
+      }
+      owners.push(ownerAddresses[i]);
+      rows.push(i);
+    }
+
+    if (!owners.length) {
+      console.log(importantMessage('No accounts left to fund in this batch'));
+      return;
+    }
+    const results = await transferFunds(
+      context.network,
+      owners,
+      amount,
+      dryRun,
+      batchMode
+    );
+    recordFailedRows('funding', rows, results);
+  };
+
+  let batchCheckpointCb = async (
+    batchStartRecordNo,
+    batchEndRecordNo,
+    batchNo,
+    batchSize
+  ) => {
+    if (!dryRun) {
+      // set data checkpiont
+      context.data.checkpoint();
+
+      // set checkpoint batch
+      context.batch.lastBalanceTxBatch = batchNo;
+      context.batch.balanceTxBatchSize = batchSize;
+      context.batch.checkpoint();
+    }
+  };
+
+  await executeInBatch(batchInfo, batchAction, batchCheckpointCb);
+};
+
+const finalizeClass = async (wfConfig) => {
+  // 10- lock the class, set the class team and transfer the class ownership
+  const finalize = wfConfig?.class?.finalize;
+  if (isEmptyObject(finalize)) {
+    console.log(
+      notificationMessage(
+        'Skipped! No class finalization is configured for the workflow'
+      )
+    );
+    return;
+  }
+
+  const context = getContext();
+  const { dryRun } = context;
+  const { network } = context;
+  const { pallet } = network;
+
+  if (context.class.id === undefined) {
+    throw new WorkflowError(
+      'No class.id checkpoint is recorded or the checkpoint is not in correct state'
+    );
+  }
+
+  if (context.class.finalized) {
+    console.log(
+      notificationMessage('The class is already finalized in the checkpoint')
+    );
+    return;
+  }
+
+  // the failed rows can not be sent once the class is locked or transferred, the class is finalized by retry-failed
+  const { startRecordNo, endRecordNo } = context.data;
+  const isFailedRow = getFailedRowCheck();
+  let failedRowCount = 0;
+  for (let i = startRecordNo; i < endRecordNo; i++) {
+    if (isFailedRow(i)) failedRowCount++;
+  }
+  if (failedRowCount) {
+    console.log(
+      notificationMessage(
+        `Skipped! ${failedRowCount} rows have failed, the class is finalized once they are sent by the retry-failed command`
+      )
+    );
+    return;
+  }
+
+  const classId = context.class.id;
+  const {
+    issuer,
+    admin,
+    freezer,
+    owner,
+    lockMetadata,
+    lockAttributes,
+    freezeClass,
+  } = finalize;
+
+  // the collection is locked before the team is changed, since freezing needs the current freezer
+  let txs = pallet.lockCollection(classId, {
+    metadata: lockMetadata,
+    attributes: lockAttributes,
+    transfers: freezeClass,
+  });
+
+  if (issuer || admin || freezer) {
+    // keep the current roles which are not configured
+    const roles = (await pallet.queryClassRoles(classId)) || {};
+    txs.push(
+      pallet.setTeam(classId, {
+        issuer: issuer || roles.issuer,
+        admin: admin || roles.admin,
+        freezer: freezer || roles.freezer,
+      })
+    );
+  }
+
+  // the ownership is transferred last, since the signer can not change the class afterwards
+  if (owner) txs.push(pallet.transferOwnership(classId, owner));
+
+  if (txs.length) {
+    const call = createBatchCall(network, txs);
+    // the ownership is transferred last in the atomic batch, so the batch is applied if the class has the new owner
+    const isApplied = owner
+      ? async () => {
+          const roles = await pallet.queryClassRoles(classId);
+          return !!roles?.owner && isSameAccount(roles.owner, owner);
+        }
+      : undefined;
+    await sendCall(network, call, dryRun, isApplied);
+  }
+
+  // update class checkpoint
+  context.class.finalized = true;
+  if (!dryRun) context.class.checkpoint();
+};
+
+const reapUnusedFunds = async (wfConfig) => {
+  const context = getContext();
+  // the gift accounts still own the unclaimed instances until the planned burn calls are submitted
+  if (context.plan) {
+    console.log(
+      notificationMessage(
+        'Skipped! The funds are reaped by running burn-reap again once the planned calls are submitted'
+      )
+    );
+    return;
+  }
+  const { startRecordNo, endRecordNo } = context.data;
+  const { dryRun } = context;
+  const { api, keyring, pallet, signingPair: seedKeyPair } = context.network;
+
+  let [secretColumn] = context.data.getColumns([columnTitles.secret]);
+
+  // set the destination address to the address derived from the seed in the workflow
+  let destAddress = seedKeyPair?.address;
   if (!destAddress) {
     throw WorkflowError(
       'was not able to generate the address from the seed specified by network.seed in the workflow file.'
     );
   }
-  // load last minted batch from checkpoint
-  let batchSize = parseInt(wfConfig?.instance?.batchSize) || 100;
+  // each gift account sends its own transfer, so an auto batch size is 100 rows
+  let batchSize = getBatchSize(wfConfig);
 
   let batchInfo = {
     startRecordNo,
@@ -642,14 +1409,18 @@ const reapUnusedFunds = async (wfConfig) => {
     let txs = [];
     for (let i = batchStartRecordNo; i < batchEndRecordNo; i++) {
       if (secretColumn.records?.[i]) {
-        let sourceKeyPair = keyring.createFromUri(secretColumn.records?.[i]);
+        let sourceKeyPair = getSecretKeyPair(
+          keyring,
+          secretColumn.records?.[i],
+          wfConfig?.instance?.secrets
+        );
         let sourceAddress = sourceKeyPair?.address;
         console.log(
           `\nrow ${i} - transfer all funds/reap: ${sourceAddress} => ${destAddress}`
         );
 
         // check the account does not have any nfts.
-        let nfts = await api.query.uniques.account.keys(sourceAddress);
+        let nfts = await pallet.queryAccountInstances(sourceAddress);
         if (nfts.length !== 0) {
           console.log(
             notificationMessage(
@@ -693,7 +1464,7 @@ const burnUnclaimedInBatch = async (wfConfig) => {
   const { startRecordNo, endRecordNo } = context.data;
   const { dryRun } = context;
 
-  const { api } = context.network;
+  const { pallet } = context.network;
 
   // read classId from checkpoint
   if (context.class.id === undefined) {
@@ -712,35 +1483,34 @@ const burnUnclaimedInBatch = async (wfConfig) => {
     );
   }
 
-  // load last minted batch from checkpoint
-  let batchSize = parseInt(wfConfig?.instance?.batchSize) || 100;
   let ownerAddresses = addressColumn.records;
 
+  // the instances of the class that are still owned by the gift account
+  const queryUnclaimedInstances = async (address) =>
+    (await pallet.queryAccountInstances(address, classId)).map(
+      (key) => key.args[2]
+    );
+
   let batchInfo = {
     startRecordNo,
     endRecordNo,
     checkpointedBatchNo: 0,
-    batchSize,
+    batchSize: getBatchSize(wfConfig),
+    getRowTxs: async (i) =>
+      createBurnTxs(
+        context.network,
+        classId,
+        await queryUnclaimedInstances(ownerAddresses[i])
+      ),
   };
 
   let batchAction = async (batchStartRecordNo, batchEndRecordNo, batchNo) => {
-    let batchOwnerAddresses = ownerAddresses.slice(
-      batchStartRecordNo,
-      batchEndRecordNo
-    );
-
     let unclaimed = await Promise.all(
-      batchOwnerAddresses.map((addr) =>
-        api.query.uniques.account.keys(addr, classId)
-      )
+      ownerAddresses
+        .slice(batchStartRecordNo, batchEndRecordNo)
+        .map(queryUnclaimedInstances)
     );
-    let unclaimedInstances = [];
-    for (let acountAssets of unclaimed) {
-      acountAssets.forEach((key, i) => {
-        let [address, classId, instanceId] = key.args;
-        unclaimedInstances.push(instanceId);
-      });
-    }
+    let unclaimedInstances = unclaimed.flat();
 
     if (unclaimedInstances && unclaimedInstances.length > 0) {
       await burnInstances(context.network, classId, unclaimedInstances, dryRun);
@@ -762,23 +1532,337 @@ const enableDryRun = async () => {
   context.dryRun = true;
 };
 
-const verifyWorkflow = async (wfConfig) => {
+// returns the problems of the template columns that do not exist in the datafile
+const validateTemplateColumns = (templates, header, element) => {
+  let problems = [];
+  for (let template of templates) {
+    for (let column of getTemplateColumns(toColumnTemplate(template))) {
+      if (!header.includes(column)) {
+        problems.push(
+          `the column: ${column} of ${element} does not exist in the datafile`
+        );
+      }
+    }
+  }
+  return problems;
+};
+
+// the columns that the workflow fills as it runs, they are empty while the metadata is rendered offline
+const generatedColumns = [
+  columnTitles.instanceId,
+  columnTitles.address,
+  columnTitles.secret,
+  columnTitles.claimUrl,
+];
+
+// throws if the instance metadata references a generated column that is not filled for all the rows yet,
+// since the offline commands would render it empty, e.g. <<instanceId>> before the instances are minted.
+const checkOfflineMetadataColumns = (wfConfig, command) => {
+  const context = getContext();
+  const { startRecordNo, endRecordNo, header, records } = context.data;
+  const { name, description, attributes, metadataTemplate } =
+    wfConfig?.instance?.metadata || {};
+  const templates = [
+    name,
+    description,
+    ...Object.values(attributes || {}).map((traitConfig) =>
+      toColumnTemplate(traitConfig?.value ?? traitConfig)
+    ),
+    metadataTemplate && JSON.stringify(metadataTemplate),
+  ];
+  const columns = templates
+    .filter((template) => typeof template === 'string')
+    .flatMap(getTemplateColumns);
+  const unfilledColumns = generatedColumns.filter((column) => {
+    if (!columns.includes(column)) return false;
+    const [idx] = getColumnIndex(header, [column]);
+    return records
+      .slice(startRecordNo, endRecordNo)
+      .some((record) => idx == null || !record[idx]);
+  });
+  if (unfilledColumns.length) {
+    throw new WorkflowError(
+      `The instance metadata uses the columns: ${unfilledColumns.join(
+        ', '
+      )}, which are only filled by the workflow, so they would be empty in the metadata of ${command}. Please remove them from the name, description, attributes and template of the instance.metadata.`
+    );
+  }
+};
+
+// the length of the metadata cids by the cid version, the metadata of the class and the instances is set to a cid
+const cidLengths = { 0: 46, 1: 59 };
+
+// the calls of a flow that need a role in the class
+const getFlowCalls = (wfConfig, flow) => {
+  if (flow === 'burn') return ['burn'];
+  let calls = flow === 'run' ? ['mint'] : [];
+  if (
+    !isEmptyObject(wfConfig?.class?.attributes) ||
+    !isEmptyObject(wfConfig?.instance?.attributes)
+  ) {
+    calls.push('attributes');
+  }
+  if (
+    wfConfig?.class?.metadata ||
+    !isEmptyObject(wfConfig?.instance?.metadata)
+  ) {
+    calls.push('metadata');
+  }
+  return calls;
+};
+
+// checks the chain state that the transactions of a flow depend on, returns the problems that are found.
+// flow is one of run, update or burn.
+const verifyChainState = async (wfConfig, flow) => {
+  const context = getContext();
+  const { network } = context;
+  const { api, pallet, signingPair, proxiedAddress, proxyType, multisig } =
+    network;
+  const { header, records, startRecordNo, endRecordNo } = context.data;
+  const signer = signingPair.address;
+  const origin = getOrigin(network);
+  const classId = wfConfig?.class?.id;
+  // the balance and the instance ids are only checked before the first transaction of a run
+  const isNewRun = flow === 'run' && context.class.id === undefined;
+  let problems = [];
+
+  if (proxiedAddress) {
+    // the proxy calls are sent by the multisig account if it is configured
+    const delegate = multisig?.address || signer;
+    const [proxies] = await api.query.proxy.proxies(proxiedAddress);
+    const isProxy = proxies.some(
+      (proxy) =>
+        isSameAccount(proxy.delegate.toString(), delegate) &&
+        proxy.proxyType.toString() === proxyType &&
+        proxy.delay.isZero()
+    );
+    if (!isProxy) {
+      problems.push(
+        `${delegate} is not an ${proxyType} proxy of ${proxiedAddress} with no delay`
+      );
+    }
+  }
+
+  // the roles are checked for the classes that are not created by this run
+  let existingClass;
+  if (classId !== undefined && (flow !== 'run' || isNewRun)) {
+    const roles = await pallet.queryClassRoles(classId);
+    existingClass = roles && (await pallet.queryClass(classId));
+    if (!roles) {
+      if (flow !== 'run') problems.push(`The class ${classId} does not exist`);
+    } else {
+      for (let call of getFlowCalls(wfConfig, flow)) {
+        const role = pallet.callRoles[call];
+        if (role && !(roles[role] && isSameAccount(roles[role], origin))) {
+          problems.push(
+            `${origin} is not the ${role} of the class ${classId}, which is needed for the ${call} calls`
+          );
+        }
+      }
+    }
+  } else if (classId === undefined && flow !== 'run') {
+    problems.push('class.id should be set to the class of the workflow');
+  }
+
+  const startInstanceId = Number(existingClass?.items ?? 0);
+  const [instanceIdColumn] = context.data.getColumns([columnTitles.instanceId]);
+  const getInstanceId = (i) =>
+    instanceIdColumn.records[i] ?? startInstanceId + i - startRecordNo;
+
+  if (flow !== 'burn') {
+    const limits = pallet.getLimits();
+    const cidVersion = parseInt(wfConfig?.storage?.cidVersion) || 0;
+    if (
+      getFlowCalls(wfConfig, flow).includes('metadata') &&
+      cidLengths[cidVersion] > limits.string
+    ) {
+      problems.push(
+        `The metadata cids (${cidLengths[cidVersion]} bytes) are longer than the string limit of the pallet (${limits.string} bytes)`
+      );
+    }
+
+    // the rows of the attributes that are longer than the limits, by the attribute key
+    let longKeys = new Map();
+    let longValues = new Map();
+    const addRow = (map, key, row) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(row);
+    };
+    const checkAttributes = (attributes, row) => {
+      for (let { key, value } of attributes) {
+        if (Buffer.byteLength(String(key)) > limits.key) {
+          addRow(longKeys, key, row);
+        }
+        if (Buffer.byteLength(String(value)) > limits.value) {
+          addRow(longValues, key, row);
+        }
+      }
+    };
+    checkAttributes(
+      Object.entries(wfConfig?.class?.attributes || {}).map(([key, value]) => ({
+        key,
+        value,
+      })),
+      'class.attributes'
+    );
+    const instanceAttributes = wfConfig?.instance?.attributes;
+    if (!isEmptyObject(instanceAttributes)) {
+      for (let i = startRecordNo; i < endRecordNo; i++) {
+        checkAttributes(
+          getInstanceAttributes(
+            instanceAttributes,
+            getInstanceId(i),
+            header,
+            records[i]
+          ),
+          `row ${i + 2}`
+        );
+      }
+    }
+    for (let [key, rows] of longKeys) {
+      problems.push(
+        `The attribute key: ${key} is longer than the key limit of the pallet (${
+          limits.key
+        } bytes) for: ${rows.join(', ')}`
+      );
+    }
+    for (let [key, rows] of longValues) {
+      problems.push(
+        `The value of the attribute: ${key} is longer than the value limit of the pallet (${
+          limits.value
+        } bytes) for: ${rows.join(', ')}`
+      );
+    }
+  }
+
+  if (isNewRun) {
+    if (existingClass) {
+      const existingIds = new Set(await pallet.queryInstanceIds(classId));
+      let usedIds = [];
+      for (let i = startRecordNo; i < endRecordNo; i++) {
+        if (existingIds.has(String(getInstanceId(i)))) {
+          usedIds.push(getInstanceId(i));
+        }
+      }
+      if (usedIds.length) {
+        problems.push(
+          `The following instance ids already exist in the class ${classId}: ${usedIds.join(
+            ', '
+          )}`
+        );
+      }
+    }
+
+    const { payers } = await estimateCost(wfConfig, network, context.data);
+    const format = createAmountFormatter(api);
+    for (let { address, amount } of payers) {
+      const free = await getFreeBalance(api, address);
+      if (free.lt(amount)) {
+        problems.push(
+          `The free balance of ${address} is ${format(free)}, ${format(
+            amount
+          )} is needed for the estimated cost of the workflow`
+        );
+      }
+    }
+  }
+
+  return problems;
+};
+
+// checks the config and the data of a workflow, and the chain state for the flows that send transactions.
+// all the problems are reported together before the first transaction is sent.
+const verifyWorkflow = async (wfConfig, flow) => {
   const initialFund = wfConfig?.instance?.initialFund;
 
   const context = getContext();
   const { api } = context.network;
   const { startRecordNo, endRecordNo } = context.data;
+  let problems = [];
 
   // validate initial fund
   if (initialFund) {
     const { existentialDeposit } = api.consts.balances;
     if (existentialDeposit.gt(new BN(initialFund))) {
-      throw new WorkflowError(
+      problems.push(
         `instance.initialFund should be bigger than existential deposit (${existentialDeposit.toNumber()})`
       );
     }
   }
 
+  // check the columns of the on-chain attributes exist in the datafile
+  problems.push(
+    ...validateTemplateColumns(
+      Object.values(wfConfig?.instance?.attributes || {}),
+      context.data.header,
+      'instance.attributes'
+    )
+  );
+
+  // check the columns of the claim url exist in the datafile or are generated by the workflow
+  problems.push(
+    ...validateTemplateColumns(
+      wfConfig?.claim?.urlTemplate ? [wfConfig.claim.urlTemplate] : [],
+      [
+        ...context.data.header,
+        columnTitles.secret,
+        columnTitles.address,
+        columnTitles.instanceId,
+      ],
+      'claim.urlTemplate'
+    )
+  );
+
+  // check the recipient addresses of an airdrop, all the invalid rows are reported together
+  if (isAirdrop(wfConfig)) {
+    const { recipientColumn } = wfConfig.instance.data;
+    if (!context.data.header.includes(recipientColumn)) {
+      problems.push(
+        `the column: ${recipientColumn} of instance.data.recipientColumn does not exist in the datafile`
+      );
+    } else {
+      const { invalidRows } = getRecipientAddresses(wfConfig);
+      if (invalidRows.length) {
+        problems.push(
+          `The recipient addresses of the following rows are not valid:\n${invalidRows.join(
+            '\n'
+          )}`
+        );
+      }
+    }
+  }
+
+  // check the derivation keys of the gift secrets are unique, otherwise the rows would share a gift account
+  const secretsConfig = wfConfig?.instance?.secrets;
+  if (secretsConfig?.masterSeed) {
+    const { keyColumn } = secretsConfig;
+    if (keyColumn && !context.data.header.includes(keyColumn)) {
+      problems.push(
+        `the column: ${keyColumn} of instance.secrets.keyColumn does not exist in the datafile`
+      );
+    } else {
+      let keys = new Set();
+      for (let i = startRecordNo; i < endRecordNo; i++) {
+        const key = getDerivationKey(secretsConfig, i + 2, {
+          header: context.data.header,
+          records: context.data.records[i],
+        });
+        if (!key) {
+          problems.push(
+            `No derivation key is set in the column: ${keyColumn} for row: ${
+              i + 2
+            }`
+          );
+        } else if (keys.has(key)) {
+          problems.push(
+            `The derivation key: ${key} of row: ${i + 2} is not unique`
+          );
+        }
+        keys.add(key);
+      }
+    }
+  }
+
   // check image files
   const instanceMetadata = wfConfig?.instance?.metadata;
   if (!isEmptyObject(instanceMetadata)) {
@@ -787,11 +1871,33 @@ const verifyWorkflow = async (wfConfig) => {
       imageFileNameTemplate,
       videoFolder,
       videoFileNameTemplate,
+      attributes,
     } = instanceMetadata;
 
+    // check the columns of the attributes exist in the datafile
+    problems.push(
+      ...validateTemplateColumns(
+        Object.values(attributes || {}).map(
+          (traitConfig) => traitConfig?.value ?? traitConfig
+        ),
+        context.data.header,
+        'instance.metadata.attributes'
+      )
+    );
+
     for (let i = startRecordNo; i < endRecordNo; i++) {
       if (!context.data.records[i]) continue;
 
+      try {
+        generateAttributes(
+          attributes,
+          context.data.header,
+          context.data.records[i]
+        );
+      } catch (err) {
+        problems.push(`${err.message} for row: ${i + 2}`);
+      }
+
       if (imageFileNameTemplate) {
         const imageFileName = formatFileName(imageFileNameTemplate, i + 2, {
           header: context.data.header,
@@ -800,7 +1906,7 @@ const verifyWorkflow = async (wfConfig) => {
         const imageFile = path.join(imageFolder, imageFileName);
 
         if (!fs.existsSync(imageFile)) {
-          throw new WorkflowError(
+          problems.push(
             `imageFile: ${imageFile} does not exist to be minted for row: ${
               i + 2
             }`
@@ -816,7 +1922,7 @@ const verifyWorkflow = async (wfConfig) => {
         const videoFile = path.join(videoFolder, videoFileName);
 
         if (!fs.existsSync(videoFile)) {
-          throw new WorkflowError(
+          problems.push(
             `videoFile: ${videoFile} does not exist to be minted for row: ${
               i + 2
             }`
@@ -825,10 +1931,65 @@ const verifyWorkflow = async (wfConfig) => {
       }
     }
   }
-};
 
-const runWorkflow = async (configFile = './src/workflow.json', dryRunMode) => {
-  if (dryRunMode) console.log(importantMessage('\ndry-run mode is on'));
+  if (flow) {
+    problems.push(...(await verifyChainState(wfConfig, flow)));
+  }
+  if (problems.length) {
+    throw new WorkflowError(
+      `The workflow can not be started, the following problems were found:\n${problems
+        .map((problem) => ` - ${problem}`)
+        .join('\n')}`
+    );
+  }
+};
+
+// in the unsigned mode the calls are written to a plan directory instead of being signed and sent,
+// to be signed externally and submitted by submit-signed.
+const enableUnsignedMode = (config, configFile, planDir, command) => {
+  if (getBatchMode(config) === 'force') {
+    throw new WorkflowError(
+      'The failed rows of a force batch can not be recorded in the unsigned mode. Please set instance.batchMode to atomic.'
+    );
+  }
+  if (config.network.multisig) {
+    throw new WorkflowError(
+      'The multisig calls are approved on chain, they can not be planned in the unsigned mode.'
+    );
+  }
+  const context = getContext();
+  const { api, signingPair } = context.network;
+  context.plan = createPlan(planDir, {
+    command,
+    configFile: path.resolve(configFile),
+    signer: signingPair.address,
+    genesisHash: api.genesisHash.toHex(),
+    specVersion: api.runtimeVersion.specVersion.toNumber(),
+  });
+  context.network.plan = context.plan;
+  console.log(
+    importantMessage(
+      `\nunsigned mode is on, the calls are written to ${planDir}`
+    )
+  );
+};
+
+const finishPlan = (config, planDir) => {
+  const context = getContext();
+  context.plan.finish(config?.instance?.data?.outputCsvFile);
+  console.info(
+    importantMessage(
+      `\n\n${context.plan.calls.length} calls are written to ${planDir}. Sign the calls with ${context.network.signingPair.address}, save each signed extrinsic as <call number>.signed in the same directory, and run submit-signed ${planDir}`
+    )
+  );
+};
+
+const runWorkflow = async (
+  configFile = './src/workflow.json',
+  dryRunMode,
+  planDir
+) => {
+  if (dryRunMode) console.log(importantMessage('\ndry-run mode is on'));
 
   console.log('> loading the workflow config ...');
   let { error, config } = parseConfig(configFile);
@@ -843,7 +2004,7 @@ const runWorkflow = async (configFile = './src/workflow.json', dryRunMode) => {
   let context = getContext();
 
   // 0- run various checks
-  await verifyWorkflow(config);
+  await verifyWorkflow(config, 'run');
 
   if (dryRunMode) {
     // TODO: uncomment once we find a true way to detect that method on rpc nodes
@@ -855,34 +2016,59 @@ const runWorkflow = async (configFile = './src/workflow.json', dryRunMode) => {
     return;
   }
 
+  if (planDir) enableUnsignedMode(config, configFile, planDir, 'run');
+
   // 1- create class
-  console.info(stepTitle`\n\nCreating the uniques class ...`);
+  console.info(stepTitle`\n\nCreating the nft class ...`);
   await createClass(config);
 
-  // 2- set classMetadata
+  // the attributes can not be set once the metadata is frozen, so they are set before the metadata.
+  //2- set class attributes
+  console.info(stepTitle`\n\nSetting the class attributes on chain ...`);
+  await setClassAttributes(config);
+
+  // 3- set classMetadata
   console.info(stepTitle`\n\nSetting class metadata ...`);
   await setCollectionMetadata(config);
 
-  // 3- generate secrets
+  // 4- generate secrets
   console.info(stepTitle`\n\nGenerating gift secrets ...`);
   await generateGiftSecrets(config);
 
-  //4- mint instances in batch
+  //5- mint instances in batch
   console.info(stepTitle`\n\nMinting nft instances ...`);
   await mintInstancesInBatch(config);
 
-  //5- pin images and generate metadata
+  //6- set attributes for instances
+  console.info(stepTitle`\n\nSetting the instance attributes on chain ...`);
+  await setInstanceAttributes(config);
+
+  //7- pin images and generate metadata
   console.info(stepTitle`\n\nUploading and pinning the NFTs on IPFS ...`);
   await pinAndSetImageCid(config);
 
-  //6- set metadata for instances
+  //8- set metadata for instances
   console.info(stepTitle`\n\nSetting the instance metadata on chain ...`);
   await setInstanceMetadata(config);
 
-  //7-fund gift accounts with the initialFund amount.
+  //9-fund gift accounts with the initialFund amount.
   console.info(stepTitle`\n\nSeeding the accounts with initial funds ...`);
   await sendInitialFunds(config);
 
+  //10- lock the class, set the class team and transfer the ownership
+  console.info(stepTitle`\n\nFinalizing the nft class ...`);
+  await finalizeClass(config);
+
+  //11- generate the claim urls of the gift secrets
+  console.info(stepTitle`\n\nGenerating the claim urls ...`);
+  await generateClaimUrls(config);
+
+  // in the unsigned mode the final datafile is written once the planned calls are submitted
+  if (context.plan?.calls.length) {
+    finishPlan(config, planDir);
+    return;
+  }
+
   if (!dryRunMode) {
     // move the final data file to the output path, cleanup the checkpoint files.
     let outFilename = config?.instance?.data?.outputCsvFile;
@@ -898,7 +2084,8 @@ const runWorkflow = async (configFile = './src/workflow.json', dryRunMode) => {
 
 const updateMetadata = async (
   configFile = './src/workflow.json',
-  dryRunMode
+  dryRunMode,
+  planDir
 ) => {
   if (dryRunMode) console.log(importantMessage('\ndry-run mode is on'));
 
@@ -915,7 +2102,7 @@ const updateMetadata = async (
   let context = getContext();
 
   // 0- run various checks
-  await verifyWorkflow(config);
+  await verifyWorkflow(config, 'update');
 
   if (dryRunMode) {
     // TODO: uncomment once we find a true way to detect that method on rpc nodes
@@ -927,23 +2114,44 @@ const updateMetadata = async (
     return;
   }
 
+  if (planDir)
+    enableUnsignedMode(config, configFile, planDir, 'update-metadata');
+
   // 1- skip create class
   // since we just updating the metadata the class should already exists otherwise the update must fail
   // load classId from config:
   context.class.id = config.class.id;
 
-  // 2- set classMetadata
+  //2- set class attributes
+  console.info(stepTitle`\n\nSetting the class attributes on chain ...`);
+  await setClassAttributes(config);
+
+  // 3- set classMetadata
   console.info(stepTitle`\n\nSetting class metadata ...`);
   await setCollectionMetadata(config);
 
-  //3- pin images and generate metadata
+  //4- set attributes for instances
+  console.info(stepTitle`\n\nSetting the instance attributes on chain ...`);
+  await setInstanceAttributes(config);
+
+  //5- pin images and generate metadata
   console.info(stepTitle`\n\nUploading and pinning the NFTs on IPFS ...`);
   await pinAndSetImageCid(config);
 
-  //4- set metadata for instances
+  //6- set metadata for instances
   console.info(stepTitle`\n\nSetting the instance metadata on chain ...`);
   await setInstanceMetadata(config);
 
+  //7- lock the class, set the class team and transfer the ownership
+  console.info(stepTitle`\n\nFinalizing the nft class ...`);
+  await finalizeClass(config);
+
+  // in the unsigned mode the final datafile is written once the planned calls are submitted
+  if (context.plan?.calls.length) {
+    finishPlan(config, planDir);
+    return;
+  }
+
   if (!dryRunMode) {
     // move the final data file to the output path, cleanup the checkpoint files.
     let outFilename = config?.instance?.data?.outputCsvFile;
@@ -957,6 +2165,360 @@ const updateMetadata = async (
   context.clean();
 };
 
+// resends the calls of the failed rows from the step they have failed, the rows that are sent go through the rest of the steps.
+// the retried batches are always sent in the force mode, so the rows that fail again are recorded again.
+const retryFailedRows = async (wfConfig) => {
+  const context = getContext();
+  const { startRecordNo, endRecordNo } = context.data;
+  const { dryRun, network } = context;
+  const { pallet } = network;
+  const classId = context.class.id;
+  const amount = wfConfig?.instance?.initialFund;
+  const isFrozen = !!wfConfig?.class?.finalize?.lockMetadata;
+
+  const [statusColumn, instanceIdColumn, addressColumn, metaCidColumn] =
+    context.data.getColumns([
+      columnTitles.rowStatus,
+      columnTitles.instanceId,
+      columnTitles.address,
+      columnTitles.metaCid,
+    ]);
+
+  // the failed rows that are not failed again, with the index of the step they are retried from
+  let pendingRows = new Map();
+  for (let i = startRecordNo; i < endRecordNo; i++) {
+    const step = getFailedStep(statusColumn.records?.[i]);
+    if (step) pendingRows.set(i, rowSteps.indexOf(step));
+  }
+  if (!pendingRows.size) {
+    console.log(
+      notificationMessage(
+        'Skipped! No failed rows are recorded in the datafile'
+      )
+    );
+    return;
+  }
+  console.log(importantMessage(`${pendingRows.size} failed rows are retried`));
+
+  const owners = isAirdrop(wfConfig)
+    ? getRecipientAddresses(wfConfig).addresses
+    : addressColumn.records;
+
+  // the calls of a row for each step, the mint and funding calls are checked on chain, since they can not be sent twice
+  const getCalls = {
+    mint: async (i) =>
+      (await pallet.queryInstanceOwner(classId, instanceIdColumn.records[i]))
+        ? []
+        : [{ instanceId: instanceIdColumn.records[i], owner: owners[i] }],
+    attributes: async (i) =>
+      getInstanceAttributes(
+        wfConfig?.instance?.attributes,
+        instanceIdColumn.records[i],
+        context.data.header,
+        context.data.records[i]
+      ),
+    metadata: async (i) =>
+      metaCidColumn.records?.[i]
+        ? [
+            {
+              instanceId: instanceIdColumn.records[i],
+              metaCid: metaCidColumn.records[i],
+            },
+          ]
+        : [],
+    funding: async (i) =>
+      !amount ||
+      isAirdrop(wfConfig) ||
+      (await isFunded(network, owners[i], amount))
+        ? []
+        : [owners[i]],
+  };
+  const sendCalls = {
+    mint: (calls) =>
+      mintClassInstances(network, classId, calls, dryRun, 'force'),
+    attributes: (calls) =>
+      setAttributesInBatch(network, classId, calls, dryRun, 'force'),
+    metadata: (calls) =>
+      setMetadataInBatch(network, classId, calls, dryRun, isFrozen, 'force'),
+    funding: (calls) => transferFunds(network, calls, amount, dryRun, 'force'),
+  };
+  // the txs of the calls, to measure the auto batch size
+  const createTxs = {
+    mint: (calls) => createMintTxs(network, classId, calls),
+    attributes: (calls) => createAttributeTxs(network, classId, calls),
+    metadata: (calls) => createMetadataTxs(network, classId, calls, isFrozen),
+    funding: (calls) => createTransferTxs(network, calls, amount),
+  };
+
+  for (let s = 0; s < rowSteps.length; s++) {
+    const step = rowSteps[s];
+    let calls = [];
+    let rows = [];
+    for (let [i, failedStep] of pendingRows) {
+      if (failedStep > s) continue;
+      for (let call of await getCalls[step](i)) {
+        calls.push(call);
+        rows.push(i);
+      }
+    }
+
+    if (!calls.length) continue;
+    console.log(`retrying ${calls.length} calls of the ${step} step ...`);
+
+    // the auto batch size of the retried calls is measured by their largest call instead of their largest row
+    const batchSize = await resolveBatchSize(
+      {
+        startRecordNo: 0,
+        endRecordNo: calls.length,
+        batchSize: getBatchSize(wfConfig),
+        batchMode: 'force',
+        getRowTxs: (i) => createTxs[step]([calls[i]]),
+      },
+      network
+    );
+    for (let start = 0; start < calls.length; start += batchSize) {
+      const results = await sendCalls[step](
+        calls.slice(start, start + batchSize)
+      );
+      const failedRows = recordFailedRows(
+        step,
+        rows.slice(start, start + batchSize),
+        results
+      );
+      failedRows.forEach((i) => pendingRows.delete(i));
+      if (!dryRun) context.data.checkpoint();
+    }
+  }
+
+  // clear the status of the rows that are sent, the columns are read again as the failures are recorded
+  let [sentStatusColumn, sentErrorColumn] = context.data.getColumns([
+    columnTitles.rowStatus,
+    columnTitles.rowError,
+  ]);
+  for (let i of pendingRows.keys()) {
+    sentStatusColumn.records[i] = '';
+    sentErrorColumn.records[i] = '';
+  }
+  context.data.setColumns([sentStatusColumn, sentErrorColumn]);
+  if (!dryRun) context.data.checkpoint();
+  console.log(
+    importantMessage(`${pendingRows.size} failed rows are sent successfully`)
+  );
+};
+
+const retryFailed = async (configFile = './src/workflow.json') => {
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+
+  const { outputCsvFile } = config.instance.data;
+  if (!fs.existsSync(outputCsvFile)) {
+    throw new WorkflowError(
+      `The final datafile: ${outputCsvFile} does not exist, the failed rows are recorded in the final datafile of a workflow run.`
+    );
+  }
+  const { header, records } = readCsvSync(outputCsvFile);
+  const classId = getRunClassId(config, header, records);
+  if (classId == null) {
+    throw new WorkflowError(
+      'No class id is recorded in the final datafile or in the checkpoint, class.id should be configured to retry the failed rows of the class.'
+    );
+  }
+
+  console.log('> setting the context for the retry-failed workflow ...');
+  await checkPreviousCheckpoints();
+  // the failed rows are read from the final datafile
+  await loadContext({
+    ...config,
+    instance: {
+      ...config.instance,
+      data: { ...config.instance.data, csvFile: outputCsvFile },
+    },
+  });
+  let context = getContext();
+  context.class.id = classId;
+
+  console.info(stepTitle`\n\nRetrying the failed rows ...`);
+  await retryFailedRows(config);
+
+  // the class is finalized once no row has failed
+  console.info(stepTitle`\n\nFinalizing the nft class ...`);
+  await finalizeClass(config);
+
+  context.data.writeFinalResult(outputCsvFile);
+  console.info(
+    importantMessage(`\n\nThe final datafile is updated at \n ${outputCsvFile}`)
+  );
+
+  // cleanup the workspace, remove checkpoint files
+  context.clean();
+};
+
+// broadcasts the externally signed extrinsics of a plan in order, and writes the checkpoints that follow each call once
+// it is included. a call that is already included is skipped, so the submission is resumed if it is halted.
+const submitSigned = async (planDir) => {
+  const plan = readPlan(planDir);
+
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(plan.configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+  await loadContext(config);
+  const context = getContext();
+  const { api, pallet } = context.network;
+
+  if (api.genesisHash.toHex() !== plan.genesisHash) {
+    throw new WorkflowError(
+      `The plan is made for the chain with the genesis hash ${
+        plan.genesisHash
+      }, it can not be submitted to ${api.genesisHash.toHex()}`
+    );
+  }
+
+  for (let call of plan.calls) {
+    if (call.included) continue;
+
+    const signedFile = path.join(planDir, `${getCallName(call.index)}.signed`);
+    if (!fs.existsSync(signedFile)) {
+      throw new WorkflowError(
+        `The signed extrinsic of the call #${call.index} is not found at ${signedFile}`
+      );
+    }
+    const tx = api.tx(fs.readFileSync(signedFile, 'utf8').trim());
+    if (!tx.isSigned || tx.method.hash.toHex() !== call.callHash) {
+      throw new WorkflowError(
+        `${signedFile} is not a signed extrinsic of the call #${call.index} with the call hash ${call.callHash}`
+      );
+    }
+
+    // the checkpoints are only advanced by the events of the extrinsic once it is included successfully
+    let events;
+    const { nonce } = await api.query.system.account(tx.signer);
+    if (call.sentAt !== undefined && nonce.gt(tx.nonce)) {
+      // the call is sent by a previous submit-signed that has halted before its inclusion is recorded
+      console.log(`\n> looking up the call #${call.index}: ${call.summary}`);
+      const result = await findInclusion(api, tx, call.sentAt);
+      if (!result) {
+        throw new WorkflowError(
+          `The call #${call.index} is not included, and the nonce ${tx.nonce} of ${tx.signer} is used by another extrinsic. Please sign the call again with the next nonce.`
+        );
+      }
+      if (!result.success) {
+        throw new WorkflowError(
+          `The call #${call.index} has failed on chain: ${result.error}`
+        );
+      }
+      events = result.events;
+    } else {
+      console.log(`\n> submitting the call #${call.index}: ${call.summary}`);
+      call.sentAt = (await api.rpc.chain.getHeader()).number.toNumber();
+      writePlan(planDir, plan);
+      events = await signAndSendTx(api, tx);
+    }
+
+    // the id of a new nfts collection is assigned when it is created, the next calls of the plan are made with the expected id
+    const plannedClassId = call.checkpoints.class?.id;
+    const isCreated =
+      pallet.name === 'nfts' &&
+      events.some(({ event }) => api.events.nfts.Created.is(event));
+    if (isCreated) {
+      call.checkpoints.class.id = pallet.getCreatedClassId(events);
+    }
+    for (let [checkpoint, state] of Object.entries(call.checkpoints)) {
+      Object.assign(context[checkpoint], state);
+      context[checkpoint].checkpoint();
+    }
+    call.included = true;
+    writePlan(planDir, plan);
+
+    if (isCreated && call.checkpoints.class.id !== plannedClassId) {
+      throw new WorkflowError(
+        `The collection ${call.checkpoints.class.id} is created instead of the collection ${plannedClassId} that the plan is made for. Please remove the plan, and run ${plan.command} --unsigned again to plan the rest of the calls.`
+      );
+    }
+  }
+
+  if (plan.outputCsvFile) {
+    context.data.writeFinalResult(plan.outputCsvFile);
+    console.info(
+      importantMessage(
+        `\n\nThe final datafile is copied at \n ${plan.outputCsvFile}`
+      )
+    );
+  }
+  // cleanup the workspace, remove checkpoint files
+  context.clean();
+};
+
+const precomputeCids = async (configFile = './src/workflow.json') => {
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+  console.log('> setting the context for the precompute cids workflow ...');
+
+  // the cids are computed offline from the datafile, without uploading the files and without the checkpoints
+  await loadContext(config, { offline: true });
+  let context = getContext();
+  // the reviewed cids would differ from the ones that are pinned once the generated columns are filled
+  checkOfflineMetadataColumns(config, 'the precomputed cids');
+
+  //1- generate metadata and compute the cids
+  console.info(stepTitle`\n\nComputing the cids of the NFTs ...`);
+  await pinAndSetImageCid(config);
+
+  const datafile = config.instance.data.csvFile;
+  context.data.write(datafile);
+  console.info(
+    importantMessage(`\n\nThe precomputed cids are written to \n ${datafile}`)
+  );
+};
+
+const exportCar = async (configFile = './src/workflow.json', carFile) => {
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+  console.log('> setting the context for the export car workflow ...');
+
+  // the files are only added to the archive offline, no connection to the chain is needed
+  await loadContext(config, { offline: true });
+  let context = getContext();
+  checkOfflineMetadataColumns(config, 'export-car');
+
+  // add the files to a single car archive instead of pinning them one by one
+  const carPath = path.resolve(carFile ?? config.instance.data.carFile);
+  const carClient = createCarClient(carPath, context.storageClient.cidVersion);
+  context.storageClient = carClient;
+
+  //1- generate metadata and add the files to the car archive
+  console.info(stepTitle`\n\nAdding the NFTs to the car archive ...`);
+  await pinAndSetImageCid(config);
+
+  const { roots, blocks } = await carClient.close();
+  const datafile = config.instance.data.csvFile;
+  context.data.write(datafile);
+  console.info(
+    importantMessage(
+      `\n\n${roots} file(s) in ${blocks} block(s) are exported to \n ${carPath}`
+    )
+  );
+  console.info(
+    notificationMessage(
+      `The cids are written to ${datafile}. Upload the car archive, then run the workflow to set the cids without pinning the files again.`
+    )
+  );
+};
+
 const renameFolderContent = (srcDir, targetExt, startIdx) => {
   if (!fs.existsSync(srcDir)) {
     throw new Error('The input directory path does bot exist!');
@@ -978,7 +2540,11 @@ const renameFolderContent = (srcDir, targetExt, startIdx) => {
   });
 };
 
-const burnAndReap = async (configFile = './src/workflow.json', dryRunMode) => {
+const burnAndReap = async (
+  configFile = './src/workflow.json',
+  dryRunMode,
+  planDir
+) => {
   if (dryRunMode) console.log(importantMessage('\ndry-run mode is on'));
 
   console.log('> loading the workflow config ...');
@@ -995,7 +2561,7 @@ const burnAndReap = async (configFile = './src/workflow.json', dryRunMode) => {
   let context = getContext();
 
   // 0- run various checks
-  await verifyWorkflow(config);
+  await verifyWorkflow(config, 'burn');
 
   if (dryRunMode) {
     // TODO: uncomment once we find a true way to detect that method on rpc nodes
@@ -1007,6 +2573,8 @@ const burnAndReap = async (configFile = './src/workflow.json', dryRunMode) => {
     return;
   }
 
+  if (planDir) enableUnsignedMode(config, configFile, planDir, 'burn-reap');
+
   // 1- skip create class
   // since we want to burn and reap accounts we assume the class in the workflow is already created otherwise it will throw error.
   // load classId from config:
@@ -1022,6 +2590,12 @@ const burnAndReap = async (configFile = './src/workflow.json', dryRunMode) => {
   );
   await reapUnusedFunds(config);
 
+  // in the unsigned mode the final datafile is written once the planned calls are submitted
+  if (context.plan?.calls.length) {
+    finishPlan(config, planDir);
+    return;
+  }
+
   if (!dryRunMode) {
     // move the final data file to the output path, cleanup the checkpoint files.
     let outFilename = config?.instance?.data?.outputCsvFile;
@@ -1035,9 +2609,647 @@ const burnAndReap = async (configFile = './src/workflow.json', dryRunMode) => {
   context.clean();
 };
 
+const generateQrCodes = async (configFile = './src/workflow.json') => {
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+
+  const { claim } = config;
+  if (!claim?.urlTemplate) {
+    throw new WorkflowError(
+      'No claim.urlTemplate is configured in the workflow config'
+    );
+  }
+
+  // the qr codes are generated from the final datafile of the workflow
+  const datafile = config.instance.data.outputCsvFile;
+  if (!fs.existsSync(datafile)) {
+    throw new WorkflowError(
+      `The final datafile: ${datafile} does not exist. Please run the workflow first.`
+    );
+  }
+  const { header, records } = await readDataFile(datafile);
+  const [secretIdx, claimUrlIdx] = getColumnIndex(header, [
+    columnTitles.secret,
+    columnTitles.claimUrl,
+  ]);
+  if (secretIdx == null) {
+    throw new WorkflowError(
+      `No ${columnTitles.secret} column was found in ${datafile}`
+    );
+  }
+
+  const { qrFolder, qrFileNameTemplate } = claim;
+  if (!fs.existsSync(qrFolder)) {
+    fs.mkdirSync(qrFolder, { recursive: true });
+  }
+
+  let count = 0;
+  for (let i = 0; i < records.length; i++) {
+    if (!records[i][secretIdx]) continue;
+
+    const claimUrl =
+      records[i][claimUrlIdx] ||
+      fillTemplateFromData(claim.urlTemplate, header, records[i]);
+    const qrFileName = formatFileName(qrFileNameTemplate, i + 2, {
+      header,
+      records: records[i],
+    });
+    // the type of the qr code (svg or png) is inferred from the file extension
+    await QRCode.toFile(path.join(qrFolder, qrFileName), claimUrl);
+    count++;
+  }
+  console.log(`${count} qr code(s) are generated in ${qrFolder}`);
+};
+
+const recoverSecrets = async (configFile = './src/workflow.json') => {
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+
+  const secretsConfig = config.instance.secrets;
+  if (!secretsConfig?.masterSeed) {
+    throw new WorkflowError(
+      'No instance.secrets.masterSeed is configured to recover the gift secrets from'
+    );
+  }
+  console.log('> setting the context for the recover secrets workflow ...');
+
+  // the previous checkpoints are only read, the recovered secrets are written to a separate file
+  const checkpointsExisted = hasCheckpoints();
+  await loadContext(config);
+  let context = getContext();
+
+  // 0- run various checks
+  await verifyWorkflow(config);
+
+  const { keyring, pallet } = context.network;
+  const { startRecordNo, endRecordNo } = context.data;
+  const classId = context.class.id ?? config.class.id;
+  const [secretColumn, addressColumn] = context.data.getColumns([
+    columnTitles.secret,
+    columnTitles.address,
+  ]);
+  secretColumn.records = secretColumn.records.map((secret) => secret || '');
+  addressColumn.records = addressColumn.records.map((address) => address || '');
+
+  //1- derive the gift secrets and check their accounts on chain
+  console.info(stepTitle`\n\nRecovering the gift secrets ...`);
+  let mismatched = 0;
+  let owners = 0;
+  for (let i = startRecordNo; i < endRecordNo; i++) {
+    const { secret, address } = await generateSecret(
+      keyring,
+      secretsConfig,
+      getDerivationKey(secretsConfig, i + 2, {
+        header: context.data.header,
+        records: context.data.records[i],
+      })
+    );
+
+    const recordedAddress = addressColumn.records[i];
+    if (recordedAddress && recordedAddress !== address) {
+      console.log(
+        errorMessage(
+          `row ${
+            i + 2
+          }: the recovered address ${address} does not match the recorded address ${recordedAddress}`
+        )
+      );
+      mismatched++;
+    }
+    secretColumn.records[i] = secret;
+    addressColumn.records[i] = address;
+
+    if (classId !== undefined) {
+      const instances = await pallet.queryAccountInstances(address, classId);
+      if (instances.length) {
+        owners++;
+      } else {
+        console.log(
+          notificationMessage(
+            `row ${
+              i + 2
+            }: ${address} does not own any instance of the class ${classId}, it is either claimed or not minted`
+          )
+        );
+      }
+    }
+  }
+  context.data.setColumns([secretColumn, addressColumn]);
+
+  let outFilename = config?.instance?.data?.recoveredCsvFile;
+  context.data.write(outFilename);
+  console.info(
+    importantMessage(
+      `\n\n${
+        endRecordNo - startRecordNo
+      } gift secret(s) are recovered, ${owners} of them own an instance on chain and ${mismatched} do not match the recorded address.\nThe recovered secrets are written to \n ${outFilename}`
+    )
+  );
+
+  if (!checkpointsExisted) {
+    context.clean();
+  }
+};
+
+const decryptOutput = async (configFile = './src/workflow.json', outFile) => {
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+
+  const datafile = config.instance.data.outputCsvFile;
+  if (!fs.existsSync(datafile)) {
+    throw new WorkflowError(
+      `The final datafile: ${datafile} does not exist. Please run the workflow first.`
+    );
+  }
+  const { header, records } = await readDataFile(datafile);
+
+  let outFilename = outFile
+    ? path.resolve(outFile)
+    : config.instance.data.decryptedCsvFile;
+  writeCsvSync(outFilename, header, records);
+  console.info(
+    importantMessage(
+      `\n\nThe plaintext gift secrets are written to \n ${outFilename}\nKeep the file safe and remove it once it is not needed.`
+    )
+  );
+};
+
+// the class of a campaign that has been run: the configured class.id, or else the class id that is recorded in its
+// final datafile, or in the class checkpoint of an unfinished run.
+const getRunClassId = (config, header, records) => {
+  if (config.class.id != null) return config.class.id;
+  const [classIdIdx] = getColumnIndex(header, [columnTitles.classId]);
+  const recorded =
+    classIdIdx != null
+      ? records.find((record) => record[classIdIdx])?.[classIdIdx]
+      : undefined;
+  return recorded ?? getCheckpointClassId();
+};
+
+const reportStatus = async (configFile = './src/workflow.json') => {
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+
+  // the status is read from the final datafile of the workflow
+  const datafile = config.instance.data.outputCsvFile;
+  if (!fs.existsSync(datafile)) {
+    throw new WorkflowError(
+      `The final datafile: ${datafile} does not exist. Please run the workflow first.`
+    );
+  }
+  const { header, records } = readCsvSync(datafile);
+  const classId = getRunClassId(config, header, records);
+  if (classId == null) {
+    throw new WorkflowError(
+      'No class id is recorded in the final datafile or in the checkpoint, please configure the class.id of the campaign in the workflow config to report its status'
+    );
+  }
+  const [instanceIdIdx, addressIdx, recipientIdx] = getColumnIndex(header, [
+    columnTitles.instanceId,
+    columnTitles.address,
+    config.instance.data.recipientColumn,
+  ]);
+  if (instanceIdIdx == null) {
+    throw new WorkflowError(
+      `No ${columnTitles.instanceId} column was found in ${datafile}`
+    );
+  }
+
+  const { api, pallet } = await connect(config.network, { readOnly: true });
+
+  let summary = {
+    instances: 0,
+    claimed: 0,
+    unclaimed: 0,
+    burned: 0,
+    giftBalance: new BN(0),
+  };
+  let statusColumns = [
+    { title: columnTitles.claimed, records: [] },
+    { title: columnTitles.currentOwner, records: [] },
+    { title: columnTitles.giftBalance, records: [] },
+  ];
+  for (let i = 0; i < records.length; i++) {
+    const [claimedColumn, ownerColumn, balanceColumn] = statusColumns;
+    const instanceId = records[i][instanceIdIdx];
+    if (!isNumber(instanceId)) {
+      claimedColumn.records.push('');
+      ownerColumn.records.push('');
+      balanceColumn.records.push('');
+      continue;
+    }
+
+    summary.instances++;
+    const owner = await pallet.queryInstanceOwner(classId, instanceId);
+    // the gift account keeps the instance until it is claimed, an airdrop is claimed once it is minted
+    const giftAddress = records[i][addressIdx];
+    const claimed =
+      !!owner && (!giftAddress || !isSameAccount(owner, giftAddress));
+    if (!owner) {
+      summary.burned++;
+    } else if (claimed) {
+      summary.claimed++;
+    } else {
+      summary.unclaimed++;
+    }
+
+    let giftBalance = '';
+    if (giftAddress && recipientIdx == null) {
+      const { data } = await api.query.system.account(giftAddress);
+      giftBalance = data.free.toString();
+      summary.giftBalance = summary.giftBalance.add(new BN(giftBalance));
+    }
+
+    claimedColumn.records.push(owner ? String(claimed) : '');
+    ownerColumn.records.push(owner || '');
+    balanceColumn.records.push(giftBalance);
+  }
+
+  // add or update the status columns of the records
+  let reportHeader = [...header];
+  let reportRecords = records.map((record) => [...record]);
+  for (let { title, records: columnRecords } of statusColumns) {
+    let [idx] = getColumnIndex(reportHeader, [title]);
+    if (idx == null) {
+      reportHeader.push(title);
+      idx = reportHeader.length - 1;
+    }
+    columnRecords.forEach((value, r) => (reportRecords[r][idx] = value));
+  }
+
+  const { statusCsvFile, statusJsonFile } = config.instance.data;
+  writeCsvSync(statusCsvFile, reportHeader, reportRecords);
+  const report = {
+    classId,
+    ...summary,
+    giftBalance: summary.giftBalance.toString(),
+    reportedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(statusJsonFile, JSON.stringify(report, null, 2));
+
+  console.log(
+    `\n${summary.instances} instance(s): ${summary.claimed} claimed, ${summary.unclaimed} unclaimed, ${summary.burned} burned. ${report.giftBalance} left in the gift accounts.`
+  );
+  console.info(
+    importantMessage(
+      `\nThe status report is written to \n ${statusCsvFile}\n ${statusJsonFile}`
+    )
+  );
+};
+
+// the fee of the batches of a step. the first and the last batch of the rows are measured,
+// and the batches between them are estimated by the first batch.
+const estimateBatchesFee = async (network, batchInfo) => {
+  const { startRecordNo, endRecordNo, getRowTxs, batchMode } = batchInfo;
+  const batchSize = await resolveBatchSize(batchInfo, network);
+  const batchCount = Math.ceil((endRecordNo - startRecordNo) / batchSize);
+
+  const estimateRowsFee = async (batchStartRecordNo, batchEndRecordNo) => {
+    let txs = [];
+    for (let i = batchStartRecordNo; i < batchEndRecordNo; i++) {
+      txs.push(...getRowTxs(i));
+    }
+    return txs.length
+      ? estimateFee(network, createBatchCall(network, txs, batchMode))
+      : new BN(0);
+  };
+
+  if (!batchCount) return new BN(0);
+  const firstFee = await estimateRowsFee(
+    startRecordNo,
+    Math.min(startRecordNo + batchSize, endRecordNo)
+  );
+  if (batchCount === 1) return firstFee;
+  const lastFee = await estimateRowsFee(
+    startRecordNo + (batchCount - 1) * batchSize,
+    endRecordNo
+  );
+  return firstFee.muln(batchCount - 1).add(lastFee);
+};
+
+// estimates the cost of a campaign without sending any transaction: the deposits that are reserved by the pallet,
+// the fees of the transactions of each step, and the initial funds of the gift accounts.
+const estimateCost = async (
+  config,
+  network,
+  { header, records, startRecordNo, endRecordNo }
+) => {
+  const rowCount = Math.max(endRecordNo - startRecordNo, 0);
+  const { pallet, signingPair } = network;
+  const deposits = pallet.getDeposits();
+  const batchSize = getBatchSize(config);
+  const batchMode = getBatchMode(config);
+  const isFrozen = !!config.class.finalize?.lockMetadata;
+
+  // the transactions are built with the signer address in place of the accounts that are not known yet,
+  // and a CIDv0 in place of the metadata cids, since the accounts and the cids have the same size.
+  const signer = signingPair.address;
+  const metaCid = `Qm${'1'.repeat(44)}`;
+  const byteLength = (value) => Buffer.byteLength(String(value));
+  const metadataDeposit = deposits.metadataBase.add(
+    deposits.perByte.muln(byteLength(metaCid))
+  );
+  const attributesDeposit = (attributes) =>
+    attributes.reduce(
+      (total, { key, value }) =>
+        total
+          .add(deposits.attributeBase)
+          .add(deposits.perByte.muln(byteLength(key) + byteLength(value))),
+      new BN(0)
+    );
+
+  const existingClass =
+    config.class.id != null ? await pallet.queryClass(config.class.id) : null;
+  const classId = config.class.id ?? 0;
+  const startInstanceId = Number(existingClass?.items ?? 0);
+  const instanceId = (i) => startInstanceId + i - startRecordNo;
+  const rowBatchInfo = (getRowTxs) => ({
+    startRecordNo,
+    endRecordNo,
+    batchSize,
+    batchMode,
+    getRowTxs,
+  });
+
+  let costs = [];
+
+  if (!existingClass) {
+    costs.push({
+      step: 'create class',
+      deposit: deposits.class,
+      fee: await estimateFee(
+        network,
+        createProxyCall(
+          network,
+          pallet.create(classId, signer, config.class.config)
+        )
+      ),
+    });
+  }
+
+  if (!isEmptyObject(config.class.attributes)) {
+    const attributes = Object.entries(config.class.attributes).map(
+      ([key, value]) => ({ key, value: String(value) })
+    );
+    costs.push({
+      step: 'class attributes',
+      deposit: attributesDeposit(attributes),
+      fee: await estimateFee(
+        network,
+        createBatchCall(
+          network,
+          createAttributeTxs(network, classId, attributes)
+        )
+      ),
+    });
+  }
+
+  if (config.class.metadata) {
+    costs.push({
+      step: 'class metadata',
+      deposit: metadataDeposit,
+      fee: await estimateFee(
+        network,
+        createProxyCall(
+          network,
+          pallet.setCollectionMetadata(classId, metaCid, isFrozen)
+        )
+      ),
+    });
+  }
+
+  costs.push({
+    step: 'mint',
+    deposit: deposits.instance.muln(rowCount),
+    fee: await estimateBatchesFee(
+      network,
+      rowBatchInfo((i) =>
+        createMintTxs(network, classId, [
+          { instanceId: instanceId(i), owner: signer },
+        ])
+      )
+    ),
+  });
+
+  const instanceAttributes = config.instance.attributes;
+  if (!isEmptyObject(instanceAttributes)) {
+    const getRowAttributes = (i) =>
+      getInstanceAttributes(
+        instanceAttributes,
+        instanceId(i),
+        header,
+        records[i]
+      );
+    let deposit = new BN(0);
+    for (let i = startRecordNo; i < endRecordNo; i++) {
+      deposit = deposit.add(attributesDeposit(getRowAttributes(i)));
+    }
+    costs.push({
+      step: 'instance attributes',
+      deposit,
+      fee: await estimateBatchesFee(
+        network,
+        rowBatchInfo((i) =>
+          createAttributeTxs(network, classId, getRowAttributes(i))
+        )
+      ),
+    });
+  }
+
+  if (!isEmptyObject(config.instance.metadata)) {
+    costs.push({
+      step: 'instance metadata',
+      deposit: metadataDeposit.muln(rowCount),
+      fee: await estimateBatchesFee(
+        network,
+        rowBatchInfo((i) =>
+          createMetadataTxs(
+            network,
+            classId,
+            [{ instanceId: instanceId(i), metaCid }],
+            isFrozen
+          )
+        )
+      ),
+    });
+  }
+
+  const initialFund = config.instance.initialFund;
+  let funds = new BN(0);
+  if (initialFund && !isAirdrop(config)) {
+    funds = new BN(initialFund).muln(rowCount);
+    costs.push({
+      step: 'initial funds',
+      deposit: new BN(0),
+      fee: await estimateBatchesFee(
+        network,
+        rowBatchInfo(() => createTransferTxs(network, [signer], initialFund))
+      ),
+    });
+  }
+
+  const finalize = config.class.finalize;
+  if (!isEmptyObject(finalize)) {
+    const { issuer, admin, freezer, owner } = finalize;
+    let txs = pallet.lockCollection(classId, {
+      metadata: finalize.lockMetadata,
+      attributes: finalize.lockAttributes,
+      transfers: finalize.freezeClass,
+    });
+    if (issuer || admin || freezer) {
+      txs.push(
+        pallet.setTeam(classId, {
+          issuer: issuer || signer,
+          admin: admin || signer,
+          freezer: freezer || signer,
+        })
+      );
+    }
+    if (owner) txs.push(pallet.transferOwnership(classId, owner));
+    costs.push({
+      step: 'finalize class',
+      deposit: new BN(0),
+      fee: txs.length
+        ? await estimateFee(network, createBatchCall(network, txs))
+        : new BN(0),
+    });
+  }
+
+  const totalDeposit = costs.reduce(
+    (t, { deposit }) => t.add(deposit),
+    new BN(0)
+  );
+  const totalFee = costs.reduce((t, { fee }) => t.add(fee), new BN(0));
+
+  // the fees are paid by the signer, the deposits and funds by the proxied or the multisig account if it is configured
+  const origin = getOrigin(network);
+  const payers =
+    origin !== signer
+      ? [
+          { address: signer, amount: totalFee },
+          { address: origin, amount: totalDeposit.add(funds) },
+        ]
+      : [{ address: signer, amount: totalDeposit.add(totalFee).add(funds) }];
+  return { rowCount, costs, totalDeposit, totalFee, funds, payers };
+};
+
+// formats an amount in the units of the chain token
+const createAmountFormatter = (api) => {
+  const [decimals] = api.registry.chainDecimals;
+  const [token] = api.registry.chainTokens;
+  return (amount) => `${formatUnits(amount, decimals)} ${token}`;
+};
+
+const getFreeBalance = async (api, address) => {
+  const { data } = await api.query.system.account(address);
+  return new BN(data.free.toString());
+};
+
+const estimate = async (configFile = './src/workflow.json') => {
+  console.log('> loading the workflow config ...');
+  let { error, config } = parseConfig(configFile);
+
+  if (error) {
+    throw new WorkflowError(error);
+  }
+
+  const { header, records } = readCsvSync(config.instance.data.csvFile);
+  const { startRecordNo, endRecordNo } = getRecordRange(config, records.length);
+
+  // no transaction is signed, the fees are estimated for the address of the signer
+  const network = await connect(config.network, { readOnly: true });
+  if (!network.signingPair) {
+    throw new WorkflowError(
+      'Please configure network.signerAddress, or the account of the workflow, to estimate the fees that it pays'
+    );
+  }
+  const { api } = network;
+  const { rowCount, costs, totalDeposit, totalFee, funds, payers } =
+    await estimateCost(config, network, {
+      header,
+      records,
+      startRecordNo,
+      endRecordNo,
+    });
+  const format = createAmountFormatter(api);
+
+  console.log(`\nThe estimated cost of ${rowCount} rows:`);
+  for (let { step, deposit, fee } of costs) {
+    console.log(`  ${step}: ${format(deposit)} deposit, ${format(fee)} fees`);
+  }
+  console.log(`\n  deposits (reserved): ${format(totalDeposit)}`);
+  console.log(`  fees: ${format(totalFee)}`);
+  console.log(`  initial funds: ${format(funds)}`);
+  console.log(`  total: ${format(totalDeposit.add(totalFee).add(funds))}`);
+
+  for (let { address, amount } of payers) {
+    const free = await getFreeBalance(api, address);
+    console.log(`\nThe free balance of ${address}: ${format(free)}`);
+    if (free.gte(amount)) {
+      console.log(importantMessage(`${format(amount)} is covered`));
+    } else {
+      console.log(
+        errorMessage(
+          `${format(amount)} is needed, ${format(amount.sub(free))} is missing`
+        )
+      );
+    }
+  }
+};
+
+const listPinCache = (provider) => {
+  const cache = loadPinCache();
+  const entries = cache
+    .entries()
+    .filter((entry) => !provider || entry.provider === provider);
+  if (!entries.length) {
+    console.log(notificationMessage('No pinned files are cached'));
+    return;
+  }
+  entries.forEach(({ provider, value, sourcePath, updatedAt }) => {
+    console.log(`${provider}\t${value}\t${sourcePath}\t${updatedAt}`);
+  });
+  console.log(`\n${entries.length} pinned file(s) are cached`);
+};
+
+const prunePinCache = (provider) => {
+  const cache = loadPinCache();
+  const removed = cache.remove(
+    provider ? (entry) => entry.provider === provider : undefined
+  );
+  console.log(`${removed} pinned file(s) removed from the cache`);
+};
+
 module.exports = {
   runWorkflow,
   updateMetadata,
   renameFolderContent,
   burnAndReap,
+  precomputeCids,
+  exportCar,
+  retryFailed,
+  submitSigned,
+  generateQrCodes,
+  recoverSecrets,
+  decryptOutput,
+  reportStatus,
+  estimate,
+  listPinCache,
+  prunePinCache,
 };
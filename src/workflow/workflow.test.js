@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CarReader } = require('@ipld/car');
+const { readCsvSync, getColumnIndex } = require('../utils/csv');
+const { computeFileCid } = require('../utils/cid');
+const { connect } = require('../chain/chain');
+const { estimateBatchSize, sendBatch } = require('../chain/batch');
+
+// the chain is faked by the tests that send calls
+jest.mock('../chain/chain', () => ({ connect: jest.fn() }));
+jest.mock('../chain/batch', () => ({
+  ...jest.requireActual('../chain/batch'),
+  estimateBatchSize: jest.fn(),
+  sendBatch: jest.fn(),
+}));
+
+// the checkpoints are written to the working directory that the workflow is loaded in
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-cwd-'));
+jest.spyOn(process, 'cwd').mockReturnValue(workDir);
+const { exportCar, precomputeCids, retryFailed } = require('./workflow');
+
+describe('workflow tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('test exporting a car archive offline', async () => {
+    const imageFolder = path.join(tmpDir, 'images');
+    fs.mkdirSync(imageFolder);
+    // the images are named by the row numbers of the datafile
+    fs.writeFileSync(path.join(imageFolder, '2.png'), 'image 2');
+    fs.writeFileSync(path.join(imageFolder, '3.png'), 'image 3');
+    const csvFile = path.join(tmpDir, 'data.csv');
+    fs.writeFileSync(csvFile, 'name\nfirst\nsecond\n');
+    const configFile = path.join(tmpDir, 'workflow.json');
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        // the endpoint is never connected to
+        network: { provider: 'wss://127.0.0.1:1' },
+        storage: { provider: 'local', local: { directory: tmpDir } },
+        class: { id: '1', metadata: { name: 'class', description: 'c' } },
+        instance: {
+          data: { csvFile },
+          metadata: {
+            name: '<<name>>',
+            description: 'instance',
+            imageFolder,
+            imageFileNameTemplate: '<>.png',
+          },
+        },
+      })
+    );
+
+    const carFile = path.join(tmpDir, 'data.car');
+    await exportCar(configFile, carFile);
+
+    const { header, records } = readCsvSync(csvFile);
+    const [imageCidIdx, metaCidIdx] = getColumnIndex(header, [
+      'image cid',
+      'metadata cid',
+    ]);
+    expect(records.map((record) => record[imageCidIdx])).toEqual([
+      await computeFileCid(path.join(imageFolder, '2.png')),
+      await computeFileCid(path.join(imageFolder, '3.png')),
+    ]);
+
+    // every image and metadata file is a root of the archive
+    const reader = await CarReader.fromBytes(fs.readFileSync(carFile));
+    const roots = (await reader.getRoots()).map((cid) => cid.toString());
+    expect(roots.sort()).toEqual(
+      records
+        .flatMap((record) => [record[imageCidIdx], record[metaCidIdx]])
+        .sort()
+    );
+    expect(fs.existsSync(`${carFile}.blocks`)).toBe(false);
+  });
+
+  it('test retrying the failed rows with an auto batch size', async () => {
+    const csvFile = path.join(tmpDir, 'data.csv');
+    fs.writeFileSync(csvFile, 'name\nfirst\nsecond\nthird\n');
+    // the second and the third rows have failed to be minted
+    fs.writeFileSync(
+      path.join(tmpDir, 'data.final.csv'),
+      [
+        'name,instanceId,gift account address,status,error,classId',
+        'first,0,5Alice,,,7',
+        'second,1,5Bob,mint failed,BadOrigin,7',
+        'third,22,5Charlie,mint failed,BadOrigin,7',
+      ].join('\n')
+    );
+    const configFile = path.join(tmpDir, 'workflow.json');
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        network: { provider: 'wss://127.0.0.1:1' },
+        storage: { provider: 'local', local: { directory: tmpDir } },
+        class: { metadata: { name: 'class', description: 'c' } },
+        instance: { data: { csvFile }, batchSize: 'auto' },
+      })
+    );
+    // the mint txs are as long as their instance ids
+    const mint = (classId, instanceId, owner) => ({
+      encodedLength: 100 + instanceId.length,
+      args: [classId, instanceId, owner],
+    });
+    connect.mockResolvedValue({
+      api: {},
+      pallet: { queryInstanceOwner: async () => undefined, mint },
+    });
+    estimateBatchSize.mockResolvedValue(1);
+    sendBatch.mockImplementation(async (network, txs) =>
+      txs.map(() => ({ success: true }))
+    );
+
+    await retryFailed(configFile);
+
+    // the batch is measured by the largest failed call alone
+    expect(estimateBatchSize).toHaveBeenCalledTimes(1);
+    const [, sample, sampleRows, batchMode] = estimateBatchSize.mock.calls[0];
+    expect(sample.map((tx) => tx.args[1])).toEqual(['22']);
+    expect(sampleRows).toBe(1);
+    expect(batchMode).toBe('force');
+    // the failed rows are sent in batches of the measured size
+    expect(sendBatch).toHaveBeenCalledTimes(2);
+
+    const { header, records } = readCsvSync(
+      path.join(tmpDir, 'data.final.csv')
+    );
+    const [statusIdx] = getColumnIndex(header, ['status']);
+    expect(records.map((record) => record[statusIdx])).toEqual(['', '', '']);
+  });
+
+  it('test exporting a car archive with the generated columns', async () => {
+    const csvFile = path.join(tmpDir, 'data.csv');
+    fs.writeFileSync(csvFile, 'name\nfirst\n');
+    const configFile = path.join(tmpDir, 'workflow.json');
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        network: { provider: 'wss://127.0.0.1:1' },
+        storage: { provider: 'local', local: { directory: tmpDir } },
+        class: { id: '1', metadata: { name: 'class', description: 'c' } },
+        instance: {
+          data: { csvFile },
+          // the instance ids are only known once the instances are minted
+          metadata: { name: '<<name>> #<<instanceId>>', description: 'i' },
+        },
+      })
+    );
+
+    const carFile = path.join(tmpDir, 'data.car');
+    await expect(exportCar(configFile, carFile)).rejects.toThrow(
+      'uses the columns: instanceId'
+    );
+    expect(fs.existsSync(carFile)).toBe(false);
+  });
+
+  it('test precomputing the cids with the generated columns', async () => {
+    const csvFile = path.join(tmpDir, 'data.csv');
+    fs.writeFileSync(csvFile, 'name\nfirst\n');
+    const metadataTemplate = path.join(tmpDir, 'template.json');
+    fs.writeFileSync(
+      metadataTemplate,
+      JSON.stringify({ name: '<<name>>', properties: { id: '<<instanceId>>' } })
+    );
+    const configFile = path.join(tmpDir, 'workflow.json');
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        network: { provider: 'wss://127.0.0.1:1' },
+        storage: { provider: 'local', local: { directory: tmpDir } },
+        class: { id: '1', metadata: { name: 'class', description: 'c' } },
+        instance: {
+          data: { csvFile },
+          metadata: {
+            name: '<<name>>',
+            description: 'i',
+            template: metadataTemplate,
+          },
+        },
+      })
+    );
+
+    await expect(precomputeCids(configFile)).rejects.toThrow(
+      'uses the columns: instanceId'
+    );
+    // the datafile is left as it is
+    expect(fs.readFileSync(csvFile, 'utf8')).toEqual('name\nfirst\n');
+  });
+});